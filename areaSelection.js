@@ -0,0 +1,160 @@
+"use strict";
+
+import { iterLoadedGenes, iterPlottedGenes, getGenePosition } from "./plotData.js";
+import { selection } from "./selection.js";
+
+// lasso points closer than this many CSS pixels to the previous one are skipped
+const minLassoStep = 3;
+
+/**
+ * Function: setupAreaSelection
+ * Purpose: Select many genes at once by dragging a box or a lasso on the canvas.
+ * - "b" and "l" (or the buttons of the #areaSelection panel) switch box and lasso mode on and off, Escape ends them.
+ *   While a mode is on, dragging draws the area instead of turning the camera.
+ * - Every gene whose projected position lies inside the area is selected,
+ *   either of the loaded chunks or, with "all data" checked, of all plotted families.
+ * - Without modifier the area replaces the selection, Shift adds to it, Alt removes from it.
+ * - As the selected genes become instances of meshSelectedPoints, orbit mode centers on them as usual.
+ * @param {BABYLON.Scene} scene - The main scene.
+ */
+export function setupAreaSelection(scene) {
+  const canvas = scene.getEngine().getRenderingCanvas();
+  const panel = document.getElementById("areaSelection");
+  const [boxButton, lassoButton] = panel.querySelectorAll("button");
+  const allDataInput = panel.querySelector("input[type=checkbox]");
+  const hint = panel.querySelector(".hint");
+  const overlay = document.getElementById("areaSelectionOverlay");
+  const shape = overlay.querySelector("polygon");
+
+  let mode = null; // "box", "lasso" or null
+  let points = null; // corners of the area being drawn, in CSS pixels of the canvas
+
+  function setMode(newMode) {
+    mode = newMode === mode ? null : newMode;
+    boxButton.classList.toggle("active", mode === "box");
+    lassoButton.classList.toggle("active", mode === "lasso");
+    hint.style.display = mode === null ? "none" : "inline";
+    // the camera would turn while dragging
+    if (mode === null) {
+      scene.activeCamera.attachControl();
+    } else {
+      scene.activeCamera.detachControl();
+    }
+    endDrawing();
+  }
+
+  function endDrawing() {
+    points = null;
+    overlay.style.display = "none";
+  }
+
+  function getArea(end) {
+    if (mode === "lasso") return points;
+    const [start] = points;
+    return [start, [end[0], start[1]], end, [start[0], end[1]]];
+  }
+
+  canvas.addEventListener("pointerdown", (evt) => {
+    if (mode === null || evt.button !== 0) return;
+    canvas.setPointerCapture(evt.pointerId);
+    points = [[evt.offsetX, evt.offsetY]];
+    shape.setAttribute("points", "");
+    overlay.style.display = "block";
+  });
+
+  canvas.addEventListener("pointermove", (evt) => {
+    if (points === null) return;
+    const point = [evt.offsetX, evt.offsetY];
+    const last = points[points.length - 1];
+    if (mode === "lasso" && Math.hypot(point[0] - last[0], point[1] - last[1]) >= minLassoStep) {
+      points.push(point);
+    }
+    shape.setAttribute("points", getArea(point).map((p) => p.join(",")).join(" "));
+  });
+
+  canvas.addEventListener("pointerup", (evt) => {
+    if (points === null) return;
+    const end = [evt.offsetX, evt.offsetY];
+    if (Math.hypot(end[0] - points[0][0], end[1] - points[0][1]) < minLassoStep && points.length === 1) {
+      endDrawing(); // a click, which picks single genes as usual
+      return;
+    }
+    const area = getArea(end);
+    const genes = findGenesInArea(scene, area, allDataInput.checked);
+    if (evt.altKey) {
+      selection.deleteAll(genes);
+    } else if (evt.shiftKey) {
+      selection.addAll(genes);
+    } else {
+      selection.replace(genes);
+    }
+    endDrawing();
+  });
+
+  canvas.addEventListener("keydown", (evt) => {
+    const key = evt.key.toLowerCase();
+    if (key === "b") setMode("box");
+    else if (key === "l") setMode("lasso");
+    else if (key === "escape" && mode !== null) setMode(mode);
+  });
+  boxButton.addEventListener("click", () => { setMode("box"); canvas.focus(); });
+  lassoButton.addEventListener("click", () => { setMode("lasso"); canvas.focus(); });
+
+  // a camera switched to while a mode is on must not turn either
+  scene.onActiveCameraChanged.add(() => {
+    if (mode !== null) scene.activeCamera.detachControl();
+  });
+}
+
+/**
+ * Returns the genes whose projected position lies inside a polygon on the canvas.
+ * @param {BABYLON.Scene} scene - The main scene.
+ * @param {number[][]} area - Corners of the polygon in CSS pixels of the canvas.
+ * @param {boolean} allData - Whether to test all plotted genes instead of the ones in loaded chunks.
+ * @returns {Array<[string, number]>} The genes as [family, index].
+ */
+function findGenesInArea(scene, area, allData) {
+  const canvas = scene.getEngine().getRenderingCanvas();
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  const m = scene.getTransformMatrix().m;
+
+  const xs = area.map(([x]) => x);
+  const ys = area.map(([, y]) => y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+
+  const found = [];
+  const test = (family, index, x, y, z) => {
+    const w = x * m[3] + y * m[7] + z * m[11] + m[15];
+    if (w <= 0) return; // behind the camera
+    const screenX = ((x * m[0] + y * m[4] + z * m[8] + m[12]) / w + 1) / 2 * width;
+    const screenY = (1 - (x * m[1] + y * m[5] + z * m[9] + m[13]) / w) / 2 * height;
+    if (screenX < minX || screenX > maxX || screenY < minY || screenY > maxY) return;
+    if (isInsidePolygon(screenX, screenY, area)) found.push([family, index]);
+  };
+
+  if (allData) {
+    for (const { family, index, position } of iterPlottedGenes()) {
+      test(family, index, ...position);
+    }
+  } else {
+    for (const { family, index } of iterLoadedGenes()) {
+      const { x, y, z } = getGenePosition(family, index);
+      test(family, index, x, y, z);
+    }
+  }
+  return found;
+}
+
+// even-odd rule, works for the self-intersecting polygons a lasso may draw
+function isInsidePolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
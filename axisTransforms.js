@@ -0,0 +1,163 @@
+"use strict";
+
+/**
+ * Transforms of the plotted coordinates, shared by the main thread and chunkWorker.js.
+ * Nothing in here may touch the DOM, BABYLON or config, as it also runs inside the worker.
+ *
+ * Every axis has a transform, as stored in config.get("transformX") etc.:
+ * {
+ *   transform: "none" | "log2" | "zScoreGene" | "zScoreTissue" | "minMax", // see transforms
+ *   derived: null | { operation: "ratio" | "difference", tissue } // combines the tissue of the axis with a second one
+ * }
+ * The transform is applied to the values of each tissue before they are combined,
+ * e.g. log2 and difference give the log2 fold change between two tissues.
+ */
+
+/**
+ * Transforms of single values, given the statistics of the tissue (see getTissueStatistics)
+ * or of every gene (see getGeneStatistics) along with the index of the gene, as named by statistics.
+ * invert returns the raw value of a transformed one, it is missing for transforms depending on the gene.
+ */
+export const transforms = {
+  none: {
+    label: "none",
+    apply: (v) => v,
+    invert: (v) => v
+  },
+  log2: {
+    label: "log2(x+1)",
+    apply: (v) => Math.log2(v + 1),
+    invert: (v) => 2 ** v - 1
+  },
+  zScoreGene: {
+    label: "z-score per gene",
+    statistics: "gene",
+    apply: (v, statistics, i) => (v - statistics.geneMeans[i]) / statistics.geneDeviations[i]
+  },
+  zScoreTissue: {
+    label: "z-score per tissue",
+    statistics: "tissue",
+    apply: (v, { mean, deviation }) => (v - mean) / deviation,
+    invert: (v, { mean, deviation }) => v * deviation + mean
+  },
+  minMax: {
+    label: "min-max",
+    statistics: "tissue",
+    apply: (v, { min, max }) => (v - min) / (max - min || 1),
+    invert: (v, { min, max }) => v * (max - min || 1) + min
+  }
+};
+
+// Combinations of the transformed values of two tissues.
+export const derivations = {
+  ratio: { symbol: "/", apply: (a, b) => a / b },
+  difference: { symbol: "−", apply: (a, b) => a - b }
+};
+
+/**
+ * Returns the problems of an axis transform, empty if it is valid.
+ * @param {*} axisTransform - The value to check.
+ * @returns {string[]}
+ */
+export function validateAxisTransform(axisTransform) {
+  if (typeof axisTransform !== "object" || axisTransform === null) return ["Expecting an object"];
+  const problems = [];
+  if (!(axisTransform.transform in transforms)) {
+    problems.push(`transform: expecting one of ${Object.keys(transforms).join(" ")}, got ${axisTransform.transform}`);
+  }
+  const { derived } = axisTransform;
+  if (derived !== null && (typeof derived?.tissue !== "string" || !(derived.operation in derivations))) {
+    problems.push(`derived: expecting null or { operation, tissue } with one of ${Object.keys(derivations).join(" ")}`);
+  }
+  return problems;
+}
+
+/**
+ * Returns the name of an axis, e.g. "Liver", "Liver − Brain" or "Liver − Brain [log2(x+1)]".
+ * @param {string} tissue - The tissue of the axis.
+ * @param {{transform: string, derived: Object|null}} axisTransform - Its transform.
+ */
+export function describeAxis(tissue, { transform, derived }) {
+  const name = derived === null ? tissue : `${tissue} ${derivations[derived.operation].symbol} ${derived.tissue}`;
+  return transform === "none" ? name : `${name} [${transforms[transform].label}]`;
+}
+
+/**
+ * Returns mean, standard deviation, minimum and maximum of the values of a tissue over all families.
+ * A deviation of zero is replaced by one, so z-scores stay finite.
+ * @param {ArrayLike<number>[]} columns - The values of the tissue, one column per family.
+ * @returns {{mean: number, deviation: number, min: number, max: number}}
+ */
+export function getTissueStatistics(columns) {
+  let count = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const values of columns) {
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
+    }
+    count += values.length;
+  }
+  const mean = count > 0 ? sum / count : 0;
+  let squares = 0;
+  for (const values of columns) {
+    for (let i = 0; i < values.length; i++) squares += (values[i] - mean) ** 2;
+  }
+  return { mean, deviation: Math.sqrt(squares / Math.max(1, count - 1)) || 1, min, max };
+}
+
+/**
+ * Returns mean and standard deviation of every gene of a family over all tissues.
+ * Deviations of zero are replaced by one, so z-scores stay finite.
+ * @param {ArrayLike<number>[]} columns - The values of the family, one column per tissue.
+ * @returns {{geneMeans: Float32Array, geneDeviations: Float32Array}}
+ */
+export function getGeneStatistics(columns) {
+  const geneCount = columns[0]?.length ?? 0;
+  const geneMeans = new Float32Array(geneCount);
+  const geneDeviations = new Float32Array(geneCount);
+  for (let i = 0; i < geneCount; i++) {
+    let sum = 0;
+    for (const values of columns) sum += values[i];
+    const mean = sum / columns.length;
+    let squares = 0;
+    for (const values of columns) squares += (values[i] - mean) ** 2;
+    geneMeans[i] = mean;
+    geneDeviations[i] = Math.sqrt(squares / Math.max(1, columns.length - 1)) || 1;
+  }
+  return { geneMeans, geneDeviations };
+}
+
+/**
+ * Computes the coordinates of the genes of a family along a transformed axis.
+ * Values without result (e.g. log2 of values below -1 or ratios by zero) end up as NaN or Infinity,
+ * which calculateChunks leaves out of the plot.
+ * @param {{transform: string, derived: Object|null}} axisTransform - The transform of the axis.
+ * @param {{values: ArrayLike<number>, statistics: Object}[]} operands - The tissue of the axis and, for derived axes,
+ *   the second one, each with the statistics the transform needs, if any.
+ * @returns {Float32Array}
+ */
+export function computeAxisColumn({ transform, derived }, operands) {
+  const { apply } = transforms[transform];
+  const [first, second] = operands.map(({ values, statistics }) => {
+    return Float32Array.from(values, (v, i) => apply(v, statistics, i));
+  });
+  if (derived === null) return first;
+  const combine = derivations[derived.operation].apply;
+  return first.map((a, i) => combine(a, second[i]));
+}
+
+/**
+ * Returns the raw tissue value belonging to a coordinate along an axis, e.g. for the position overlay.
+ * @param {{axisTransform: Object|null, statistics: Object|null}} axis - The axis, see getAxes in plotData.js.
+ * @param {number} value - The coordinate in data units.
+ * @returns {number|undefined} The raw value, undefined if the axis does not show a single tissue
+ *   or the transform depends on the gene.
+ */
+export function getRawValue({ axisTransform, statistics }, value) {
+  if (axisTransform === null || axisTransform.derived !== null) return undefined;
+  return transforms[axisTransform.transform].invert?.(value, statistics);
+}
@@ -0,0 +1,247 @@
+"use strict";
+
+import { validateDataset, DatasetError } from "./datasetValidator.js";
+
+/**
+ * Binary columnar dataset format (.tsb), a compact alternative to the JSON datasets for large data.
+ *
+ * All numbers are little-endian. Genes are stored family by family in the order of the header.
+ *
+ *   magic          4 bytes   "TSVB"
+ *   version        uint32    formatVersion
+ *   headerLength   uint32    byte length of the header
+ *   header         UTF-8 JSON {
+ *                    families: [{ name, geneCount, centroid: { <tissue>: number } }],
+ *                    tissues: [<tissue>],
+ *                    genes: [<gene id>],
+ *                    metaData: { <key>: [<value per gene>] }
+ *                  }
+ *   padding        0-3 bytes, so the columns start at a multiple of 4
+ *   columns        one Float32 column per tissue (in header order), each holding one value per gene
+ *   outliers       bitmask with one bit per gene, least significant bit first
+ *
+ * Decoded datasets have the usual per-family structure, but the tissue values are Float32Array views
+ * into the loaded buffer and is_outlier is a Uint8Array of 0/1, so no per-gene objects are created.
+ */
+
+const magic = "TSVB";
+const formatVersion = 1;
+const preambleLength = 12; // magic, version and header length
+
+/**
+ * Encodes a dataset into the binary format.
+ * @param {Object} data - A dataset in the per-family structure, e.g. parsed from JSON.
+ * @returns {ArrayBuffer}
+ * @throws {DatasetError} If the dataset is invalid.
+ */
+export function encodeBinaryDataset(data) {
+  const problems = validateDataset(data);
+  if (problems.length > 0) {
+    throw new DatasetError("Cannot convert invalid dataset", problems);
+  }
+
+  const familyNames = Object.keys(data);
+  const firstFamily = data[familyNames[0]];
+  const tissues = Object.keys(firstFamily.tissues);
+  const metaDataKeys = Object.keys(firstFamily).filter((key) => {
+    return !["genes", "is_outlier", "tissues", "centroid"].includes(key) && Array.isArray(firstFamily[key]);
+  });
+
+  const header = {
+    families: familyNames.map((name) => ({
+      name,
+      geneCount: data[name].genes.length,
+      centroid: data[name].centroid
+    })),
+    tissues,
+    genes: familyNames.flatMap((name) => Array.from(data[name].genes)),
+    metaData: Object.fromEntries(metaDataKeys.map((key) => {
+      return [key, familyNames.flatMap((name) => Array.from(data[name][key] ?? new Array(data[name].genes.length).fill(null)))];
+    }))
+  };
+  const geneCount = header.genes.length;
+
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const columnsOffset = align4(preambleLength + headerBytes.length);
+  const outliersOffset = columnsOffset + tissues.length * geneCount * 4;
+  const buffer = new ArrayBuffer(outliersOffset + Math.ceil(geneCount / 8));
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  bytes.set(new TextEncoder().encode(magic), 0);
+  view.setUint32(4, formatVersion, true);
+  view.setUint32(8, headerBytes.length, true);
+  bytes.set(headerBytes, preambleLength);
+
+  // DataView instead of a Float32Array to write little-endian on every platform
+  let offset = columnsOffset;
+  for (const tissue of tissues) {
+    for (const name of familyNames) {
+      for (const value of data[name].tissues[tissue]) {
+        view.setFloat32(offset, value, true);
+        offset += 4;
+      }
+    }
+  }
+
+  let gene = 0;
+  for (const name of familyNames) {
+    for (const isOutlier of data[name].is_outlier) {
+      if (isOutlier) bytes[outliersOffset + (gene >> 3)] |= 1 << (gene & 7);
+      gene++;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Decodes a complete binary dataset.
+ * @param {ArrayBuffer} buffer - The content of a .tsb file.
+ * @returns {Object} The dataset.
+ * @throws {DatasetError} If the buffer is not a valid binary dataset.
+ */
+export function decodeBinaryDataset(buffer) {
+  const layout = readLayout(new Uint8Array(buffer));
+  if (layout === null || buffer.byteLength < layout.byteLength) {
+    throw new DatasetError("Binary dataset is truncated");
+  }
+  return buildDataset(buffer, layout);
+}
+
+/**
+ * Reads a binary dataset from a stream, e.g. the body of a fetch response or File.stream().
+ * As soon as the header has arrived, the final buffer is allocated and every further chunk
+ * is copied straight into its place, so the file is never held twice in memory.
+ * @param {ReadableStream<Uint8Array>} stream - The stream to read from.
+ * @param {function(number, number|undefined): void} [onProgress] - Called with received and total bytes.
+ * @returns {Promise<Object>} The dataset.
+ * @throws {DatasetError} If the stream does not contain a valid binary dataset.
+ */
+export async function readBinaryDataset(stream, onProgress) {
+  const reader = stream.getReader();
+  let head = new Uint8Array(0); // bytes received before the header is complete
+  let layout = null;
+  let bytes = null;
+  let received = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    if (layout === null) {
+      const joined = new Uint8Array(head.length + value.length);
+      joined.set(head, 0);
+      joined.set(value, head.length);
+      head = joined;
+      layout = readLayout(head);
+      if (layout !== null) {
+        if (head.length > layout.byteLength) {
+          reader.cancel();
+          throw new DatasetError(`Binary dataset is longer than the ${layout.byteLength} bytes announced by its header`);
+        }
+        bytes = new Uint8Array(layout.byteLength);
+        bytes.set(head, 0);
+        head = null;
+      }
+      received += value.length;
+    } else {
+      if (received + value.length > bytes.length) {
+        reader.cancel();
+        throw new DatasetError(`Binary dataset is longer than the ${layout.byteLength} bytes announced by its header`);
+      }
+      bytes.set(value, received);
+      received += value.length;
+    }
+    onProgress?.(received, layout?.byteLength);
+  }
+
+  if (layout === null || received < layout.byteLength) {
+    throw new DatasetError("Binary dataset is truncated");
+  }
+  return buildDataset(bytes.buffer, layout);
+}
+
+/**
+ * Parses preamble and header.
+ * @returns {{header: Object, columnsOffset: number, outliersOffset: number, byteLength: number}|null}
+ *   The layout of the whole file, or null if not enough bytes are available yet.
+ */
+function readLayout(bytes) {
+  if (bytes.length < preambleLength) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (new TextDecoder().decode(bytes.subarray(0, 4)) !== magic) {
+    throw new DatasetError("Not a binary dataset (magic bytes do not match)");
+  }
+  const version = view.getUint32(4, true);
+  if (version !== formatVersion) {
+    throw new DatasetError(`Unsupported binary dataset version ${version}, expecting ${formatVersion}`);
+  }
+  const headerLength = view.getUint32(8, true);
+  if (bytes.length < preambleLength + headerLength) return null;
+
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(bytes.subarray(preambleLength, preambleLength + headerLength)));
+  } catch (err) {
+    throw new DatasetError(`Header of binary dataset is corrupt: ${err.message}`);
+  }
+
+  const geneCount = header.genes.length;
+  const columnsOffset = align4(preambleLength + headerLength);
+  const outliersOffset = columnsOffset + header.tissues.length * geneCount * 4;
+  return {
+    header,
+    columnsOffset,
+    outliersOffset,
+    byteLength: outliersOffset + Math.ceil(geneCount / 8)
+  };
+}
+
+function buildDataset(buffer, { header, columnsOffset, outliersOffset }) {
+  const geneCount = header.genes.length;
+  const columns = header.tissues.map((tissue, i) => {
+    return readFloat32Column(buffer, columnsOffset + i * geneCount * 4, geneCount);
+  });
+
+  const maskBytes = new Uint8Array(buffer, outliersOffset, Math.ceil(geneCount / 8));
+  const outliers = new Uint8Array(geneCount);
+  for (let gene = 0; gene < geneCount; gene++) {
+    outliers[gene] = (maskBytes[gene >> 3] >> (gene & 7)) & 1;
+  }
+
+  const data = {};
+  let start = 0;
+  for (const { name, geneCount: familyGeneCount, centroid } of header.families) {
+    const end = start + familyGeneCount;
+    const familyData = {
+      genes: header.genes.slice(start, end),
+      is_outlier: outliers.subarray(start, end)
+    };
+    for (const [key, values] of Object.entries(header.metaData ?? {})) {
+      familyData[key] = values.slice(start, end);
+    }
+    familyData.tissues = Object.fromEntries(header.tissues.map((tissue, i) => [tissue, columns[i].subarray(start, end)]));
+    familyData.centroid = centroid;
+    data[name] = familyData;
+    start = end;
+  }
+
+  return data;
+}
+
+// the columns are little-endian, only big-endian platforms need to copy them
+const littleEndianPlatform = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+function readFloat32Column(buffer, offset, length) {
+  if (littleEndianPlatform) {
+    return new Float32Array(buffer, offset, length);
+  }
+  const view = new DataView(buffer, offset, length * 4);
+  return Float32Array.from({ length }, (_, i) => view.getFloat32(i * 4, true));
+}
+
+function align4(offset) {
+  return Math.ceil(offset / 4) * 4;
+}
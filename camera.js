@@ -1,6 +1,13 @@
 "use strict";
 
 import { createSphereMesh } from "./plotData.js";
+import { clock } from "./clock.js";
+
+// config keys describing the pose of the active camera, in the units of config (positions divided by scale)
+const poseKeys = ["x", "y", "z", "rotationX", "rotationY", "orbitModeTargetDistance"];
+
+// observer of the running moveToPose, a new movement replaces it
+let poseAnimation = null;
 
 /**
  * Function: setupCamera
@@ -128,6 +135,87 @@ export function setupCamera(scene, canvas) {
   });
 }
 
+/**
+ * Function: getPoseLookingAt
+ * Purpose: Compute a pose for moveToPose, in which the active camera looks at a target from a given distance.
+ * - The camera approaches along its current line of sight to the target, or along its view direction if it is at the target.
+ * - The pose holds for both cameras, the orbit camera ends up orbiting the target.
+ * @param {BABYLON.Scene} scene - The scene whose active camera is moved.
+ * @param {BABYLON.Vector3} target - The point to look at, in world units.
+ * @param {number} distance - Distance between camera and target, in world units.
+ * @returns {Object} The pose, see getCameraPose.
+ */
+export function getPoseLookingAt(scene, target, distance) {
+  const camera = scene.activeCamera;
+  const direction = target.subtract(camera.position);
+  if (direction.lengthSquared() === 0) {
+    direction.copyFrom(camera.getDirection(BABYLON.Vector3.Forward()));
+  }
+  direction.normalize();
+  const position = target.subtract(direction.scale(distance)).scale(1 / config.get("scale"));
+  // pitch and yaw of a camera looking along direction, as stored by the render loop above
+  return {
+    x: position.x,
+    y: position.y,
+    z: position.z,
+    rotationX: -Math.asin(direction.y),
+    rotationY: -Math.atan2(direction.x, direction.z),
+    orbitModeTargetDistance: distance
+  };
+}
+
+/**
+ * Returns the pose of the active camera, which can be restored by moveToPose.
+ * @returns {{x: number, y: number, z: number, rotationX: number, rotationY: number, orbitModeTargetDistance: number}}
+ */
+export function getCameraPose() {
+  return Object.fromEntries(poseKeys.map((key) => [key, config.get(key)]));
+}
+
+/**
+ * Function: moveToPose
+ * Purpose: Move the active camera smoothly to a pose saved by getCameraPose.
+ * - Interpolates the pose settings of config, so it works for both cameras.
+ * - Rotations turn the shorter way.
+ * - Starting another movement ends the running one where it is.
+ * @param {BABYLON.Scene} scene - The scene whose active camera is moved.
+ * @param {Object} pose - The pose to move to, see getCameraPose.
+ * @param {number} [duration=1000] - Duration of the movement in milliseconds.
+ * @returns {Promise<void>} Resolves when the camera has arrived or the movement was replaced.
+ */
+export function moveToPose(scene, pose, duration = 1000) {
+  if (poseAnimation !== null) {
+    scene.onBeforeRenderObservable.remove(poseAnimation.observer);
+    poseAnimation.resolve();
+  }
+
+  const start = getCameraPose();
+  const end = { ...pose };
+  for (const key of ["rotationX", "rotationY"]) {
+    const difference = pose[key] - start[key];
+    end[key] = start[key] + Math.atan2(Math.sin(difference), Math.cos(difference));
+  }
+  const easing = new BABYLON.CubicEase();
+  easing.setEasingMode(BABYLON.EasingFunction.EASINGMODE_EASEINOUT);
+  const startTime = clock.now();
+
+  return new Promise((resolve) => {
+    const observer = scene.onBeforeRenderObservable.add(() => {
+      const time = duration > 0 ? Math.min(1, (clock.now() - startTime) / duration) : 1;
+      const progress = easing.ease(time);
+      for (const key of poseKeys) {
+        config.set(key, start[key] + (end[key] - start[key]) * progress);
+      }
+      if (time === 1) {
+        scene.onBeforeRenderObservable.remove(observer);
+        poseAnimation = null;
+        resolve();
+      }
+    });
+    poseAnimation = { observer, resolve };
+  });
+}
+
 function getOrbitTargetFromPosition(scene, position, radius) {
   const forward = scene.activeCamera.getDirection(BABYLON.Vector3.Forward());
   forward.normalize();
@@ -0,0 +1,165 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { getAxes, getPlottedFamilies, iterPlottedGenes, getFamilyColor, getDataPointDiameter } from "./plotData.js";
+import { getEigenDecomposition } from "./pca.js";
+
+// The centroid markers are drawn this much larger than the data points of their family.
+const markerScaling = 3;
+
+// The ellipsoids reach this many standard deviations along each of their axes.
+const spreadDeviations = 2;
+const spreadAlpha = 0.15;
+
+// Lines are drawn to at most this many members per family, spread evenly over the family.
+const maxLinesPerFamily = 1000;
+const lineAlpha = 0.3;
+
+/**
+ * Function: setupCentroids
+ * Purpose: Show where each plotted family lies as a whole and how far its genes spread.
+ * - config.get("centroids") draws a cube in the family color at the centroid of every plotted family.
+ *   While the axes show untransformed tissues, this is the centroid of the dataset (see dataHandler.getCentroid),
+ *   otherwise the mean position of the plotted genes.
+ * - config.get("centroidLines") connects the members of each family with its centroid.
+ * - config.get("spreadEllipsoids") draws a translucent covariance ellipsoid around the plotted genes of each family.
+ * - Rebuilt after every chunk reload, whenever one of the three settings changes
+ *   and when the color or diameter of a plotted family changes (see familyRestyled in plotData.js).
+ * @param {BABYLON.Scene} scene - The main scene.
+ */
+export function setupCentroids(scene) {
+  let meshes = [];
+
+  function rebuild() {
+    for (const mesh of meshes) {
+      mesh.material?.dispose();
+      mesh.dispose();
+    }
+    meshes = [];
+    const showCentroids = config.get("centroids");
+    const showLines = config.get("centroidLines");
+    const showSpread = config.get("spreadEllipsoids");
+    if (!showCentroids && !showLines && !showSpread) return;
+
+    const families = getFamilyStatistics(showLines);
+    if (families.length === 0) return;
+    if (showCentroids) meshes.push(createMarkers(scene, families));
+    if (showLines && families.some(({ members }) => members.length > 0)) meshes.push(createLines(scene, families));
+    if (showSpread) meshes.push(createEllipsoids(scene, families));
+  }
+
+  for (const key of ["centroids", "centroidLines", "spreadEllipsoids"]) {
+    config.setSetterCallback(key, rebuild);
+  }
+  document.addEventListener("chunksLoaded", rebuild);
+  // the centroids are drawn in the color and diameter of the regular genes, outliers do not matter
+  document.addEventListener("familyRestyled", (evt) => {
+    const { family, setting } = evt.detail;
+    if ((setting === "Color" || setting === "Diameter") && meshes.length > 0 && getPlottedFamilies().includes(family)) {
+      rebuild();
+    }
+  });
+}
+
+/**
+ * Collects centroid, mean, covariance and members of every plotted family, all in world units.
+ * @param {boolean} withMembers - Whether to collect the members, every n-th one for large families.
+ * @returns {{family: string, centroid: BABYLON.Vector3, mean: number[], covariance: number[][], members: number[][]}[]}
+ */
+function getFamilyStatistics(withMembers) {
+  const families = new Map(getPlottedFamilies().map((family) => {
+    const stride = Math.ceil(dataHandler.getColumns(family).genes.length / maxLinesPerFamily);
+    return [family, { family, sum: [0, 0, 0], products: [[0, 0, 0], [0, 0, 0], [0, 0, 0]], members: [], count: 0, stride }];
+  }));
+  for (const { family, index, position } of iterPlottedGenes()) {
+    const statistics = families.get(family);
+    if (statistics === undefined) continue;
+    statistics.count++;
+    if (withMembers && index % statistics.stride === 0) statistics.members.push(position);
+    for (let a = 0; a < 3; a++) {
+      statistics.sum[a] += position[a];
+      for (let b = 0; b < 3; b++) statistics.products[a][b] += position[a] * position[b];
+    }
+  }
+
+  const axes = getAxes();
+  const useDatasetCentroids = axes.every(({ axisTransform }) => {
+    return axisTransform?.transform === "none" && axisTransform.derived === null;
+  });
+  const scale = config.get("scale");
+  return [...families.values()].map(({ family, sum, products, members, count }) => {
+    const mean = sum.map((v) => v / count);
+    const covariance = products.map((row, a) => row.map((v, b) => v / count - mean[a] * mean[b]));
+    const datasetCentroid = useDatasetCentroids ? dataHandler.getCentroid(family, ...axes.map(({ tissue }) => tissue)) : [];
+    const centroid = datasetCentroid.length === 3 && datasetCentroid.every(Number.isFinite)
+      ? datasetCentroid.map((v) => v * scale)
+      : mean;
+    return { family, centroid: BABYLON.Vector3.FromArray(centroid), mean, covariance, members };
+  });
+}
+
+function getColor(family) {
+  return BABYLON.Color4.FromHexString(getFamilyColor(family, false));
+}
+
+function createMarkers(scene, families) {
+  const mesh = BABYLON.MeshBuilder.CreateBox("centroidMarkers", { size: 1 }, scene);
+  mesh.isPickable = false;
+  mesh.enableEdgesRendering();
+  mesh.edgesWidth = 3;
+  mesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
+  mesh.edgesShareWithThinInstances = true;
+
+  const matrices = new Float32Array(16 * families.length);
+  const colors = new Float32Array(4 * families.length);
+  families.forEach(({ family, centroid }, i) => {
+    const size = getDataPointDiameter(family, false) * markerScaling;
+    BABYLON.Matrix.Scaling(size, size, size).setTranslation(centroid).copyToArray(matrices, 16 * i);
+    colors.set(getColor(family).asArray(), 4 * i);
+  });
+  mesh.thinInstanceSetBuffer("matrix", matrices, 16);
+  mesh.thinInstanceSetBuffer("color", colors, 4);
+  return mesh;
+}
+
+function createLines(scene, families) {
+  const lines = [];
+  const colors = [];
+  for (const { family, centroid, members } of families) {
+    const color = getColor(family);
+    color.a = lineAlpha;
+    for (const position of members) {
+      lines.push([BABYLON.Vector3.FromArray(position), centroid]);
+      colors.push([color, color]);
+    }
+  }
+  const mesh = BABYLON.MeshBuilder.CreateLineSystem("centroidLines", { lines, colors, useVertexAlpha: true }, scene);
+  mesh.isPickable = false;
+  return mesh;
+}
+
+function createEllipsoids(scene, families) {
+  const mesh = BABYLON.MeshBuilder.CreateSphere("spreadEllipsoids", { diameter: 2, segments: 24 }, scene);
+  const material = new BABYLON.StandardMaterial("spreadEllipsoidsMat", scene);
+  material.alpha = spreadAlpha;
+  material.backFaceCulling = false;
+  mesh.material = material;
+  mesh.isPickable = false;
+
+  const matrices = new Float32Array(16 * families.length);
+  const colors = new Float32Array(4 * families.length);
+  families.forEach(({ family, mean, covariance }, i) => {
+    // the unit sphere is stretched along the eigenvectors of the covariance, by the standard deviation along each
+    const { values, vectors } = getEigenDecomposition(covariance);
+    const m = 16 * i;
+    vectors.forEach((vector, axis) => {
+      const radius = spreadDeviations * Math.sqrt(Math.max(0, values[axis]));
+      vector.forEach((v, j) => { matrices[m + 4 * axis + j] = v * radius; });
+    });
+    matrices.set([...mean, 1], m + 12);
+    colors.set(getColor(family).asArray(), 4 * i);
+  });
+  mesh.thinInstanceSetBuffer("matrix", matrices, 16);
+  mesh.thinInstanceSetBuffer("color", colors, 4);
+  return mesh;
+}
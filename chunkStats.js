@@ -0,0 +1,30 @@
+"use strict";
+
+import { getChunkStats } from "./plotData.js";
+
+// The numbers are refreshed this often, in milliseconds.
+const refreshInterval = 500;
+
+/**
+ * Function: setupChunkStats
+ * Purpose: Show what the loaded chunks take, to debug the chunk streaming and the mesh pool.
+ * - The #chunkStats panel lists loaded chunks, meshes in use and kept for reuse, thin instances and the size of their buffers.
+ * - Shown while config.get("chunkStats") is enabled, refreshed every refreshInterval.
+ */
+export function setupChunkStats() {
+  const panel = document.getElementById("chunkStats");
+  let timer = null;
+
+  const render = () => {
+    const { chunks, meshes, pooledMeshes, instances, bufferBytes } = getChunkStats();
+    panel.textContent = `${chunks} chunks, ${meshes} meshes (${pooledMeshes} pooled), ` +
+      `${instances} instances, ${(bufferBytes / 2 ** 20).toFixed(1)} MiB buffers`;
+  };
+
+  config.setSetterCallback("chunkStats", (show) => {
+    clearInterval(timer);
+    timer = show ? setInterval(render, refreshInterval) : null;
+    panel.style.display = show ? "block" : "none";
+    if (show) render();
+  });
+}
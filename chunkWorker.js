@@ -0,0 +1,215 @@
+"use strict";
+
+/**
+ * Web Worker computing the chunks for plotData.js, so large datasets do not block the render loop.
+ *
+ * Messages from the main thread:
+ * - { type: "data", families: [{ name, isOutlier: Uint8Array, tissues: { <tissue>: Float32Array }, metaData: { <field>: Array } }] }
+ *   replaces the dataset, sent whenever dataHandler loads a new one.
+ * - { type: "calculate", requestId, projection, tissues: [x, y, z], axisTransforms: [x, y, z], scale, chunkDiameter, filters,
+ *     densityCellSize, families: [{ name, color, outlierColor, diameter, outlierDiameter }] }
+ *   bins the genes of the given families passing the filters, see calculateChunks in chunking.js and filters.js.
+ *   The coordinates are the values of the tissues, transformed per axis as described in axisTransforms.js.
+ *   With projection "pca", the first three principal components over all tissues are the coordinates instead
+ *   of the given tissues (see pca.js). They are computed once per dataset, on the first request needing them.
+ *   densityCellSize is null, unless the genes are to be counted per cell for the density rendering mode.
+ *
+ * Messages to the main thread:
+ * - { type: "progress", requestId, done, total } while calculating.
+ * - { type: "error", requestId, message } if the calculation failed.
+ * - { type: "chunks", requestId, chunks, positions, familyNames, axes, density } with all buffers transferred,
+ *   familyNames resolves the family indices used in positions and the refs of the chunks,
+ *   axes describes the coordinates: [{ name, explainedVariance, tissue, axisTransform, statistics }],
+ *   explainedVariance being null for tissues, tissue, axisTransform and statistics (of the tissue, if its transform needs them)
+ *   null for principal components. density is the result of calculateDensity in chunking.js, or null.
+ *
+ * A calculation pauses between families to receive further messages
+ * and is abandoned as soon as a newer request arrives.
+ */
+
+import { calculateChunks, calculateDensity } from "./chunking.js";
+import { createFilterMask } from "./filters.js";
+import { computePca } from "./pca.js";
+import { transforms, describeAxis, getTissueStatistics, getGeneStatistics, computeAxisColumn } from "./axisTransforms.js";
+
+// name -> { isOutlier, tissues } of the current dataset
+let dataset = new Map();
+let latestRequestId = null;
+
+// Promise of the principal components of the current dataset, null until a request needs them.
+let pca = null;
+// Steps of the running computation of the principal components (see computePca), null while none is running.
+// Every request waiting for the components adds a listener reporting its progress.
+let pcaProgress = null;
+
+// Statistics of the current dataset, computed once a transform needs them, see axisTransforms.js.
+let tissueStatistics = new Map(); // tissue -> statistics over all families
+let geneStatistics = new Map(); // family -> statistics of its genes over all tissues
+
+self.addEventListener("message", (evt) => {
+  const message = evt.data;
+  switch (message.type) {
+    case "data":
+      dataset = new Map(message.families.map((family) => [family.name, family]));
+      pca = null;
+      tissueStatistics = new Map();
+      geneStatistics = new Map();
+      break;
+    case "calculate":
+      latestRequestId = message.requestId;
+      calculate(message);
+      break;
+    default:
+      console.error(`chunkWorker: unknown message type '${message.type}'`);
+  }
+});
+
+async function calculate({
+  requestId, projection, tissues, axisTransforms, scale, chunkDiameter, filters, densityCellSize, families
+}) {
+  try {
+    let axes = tissues.map((tissue, a) => {
+      const axisTransform = axisTransforms[a];
+      const { statistics } = transforms[axisTransform.transform];
+      return {
+        name: describeAxis(tissue, axisTransform),
+        explainedVariance: null,
+        tissue,
+        axisTransform,
+        statistics: statistics === "tissue" && axisTransform.derived === null ? getStatisticsOfTissue(tissue) : null
+      };
+    });
+    let scores = null;
+    // the steps of a running computation of the principal components count ahead of those of the chunks
+    let pcaSteps = 0;
+    if (projection === "pca") {
+      pca ??= getPca(dataset);
+      const progress = pcaProgress;
+      const reportProgress = () => {
+        if (requestId !== latestRequestId) return;
+        self.postMessage({ type: "progress", requestId, done: progress.done, total: progress.total + families.length + 1 });
+      };
+      if (progress !== null) {
+        progress.listeners.add(reportProgress);
+        reportProgress();
+      }
+      let result;
+      try {
+        result = await pca;
+      } finally {
+        progress?.listeners.delete(reportProgress);
+      }
+      pcaSteps = progress?.total ?? 0;
+      if (requestId !== latestRequestId) return;
+      axes = result.explainedVariance.map((explainedVariance, i) => {
+        return { name: `PC${i + 1}`, explainedVariance, tissue: null, axisTransform: null, statistics: null };
+      });
+      scores = result.scores;
+    }
+
+    // unknown families or tissues are skipped, just like families without genes
+    const plottedFamilies = [];
+    for (const family of families) {
+      const familyData = dataset.get(family.name);
+      const coordinates = scores === null
+        ? tissues.map((tissue, a) => getAxisColumn(family.name, tissue, axisTransforms[a]))
+        : scores.get(family.name) ?? [undefined];
+      if (familyData !== undefined && !coordinates.includes(undefined)) {
+        const mask = createFilterMask(filters, familyData);
+        plottedFamilies.push({ ...family, isOutlier: familyData.isOutlier, coordinates, mask });
+      }
+    }
+
+    const total = pcaSteps + plottedFamilies.length + 1;
+    const steps = calculateChunks(plottedFamilies, scale, chunkDiameter);
+    let step = steps.next();
+    while (!step.done) {
+      self.postMessage({ type: "progress", requestId, done: pcaSteps + step.value, total });
+
+      // give newer requests the chance to arrive
+      await new Promise((resolve) => setTimeout(resolve));
+      if (requestId !== latestRequestId) return;
+
+      step = steps.next();
+    }
+
+    const { chunks, positions } = step.value;
+    const density = densityCellSize === null
+      ? null
+      : calculateDensity(positions, plottedFamilies.map(({ isOutlier }) => isOutlier), densityCellSize);
+    const transfer = chunks.flatMap(({ sphere, octahedron }) => {
+      return [sphere, octahedron].flatMap(({ matrices, colors, refs }) => [matrices.buffer, colors.buffer, refs.buffer]);
+    });
+    transfer.push(...positions.map((familyPositions) => familyPositions.buffer));
+    if (density !== null) transfer.push(density.centroids.buffer, density.counts.buffer);
+    const familyNames = plottedFamilies.map((family) => family.name);
+    self.postMessage({ type: "chunks", requestId, chunks, positions, familyNames, axes, density }, transfer);
+  } catch (err) {
+    if (projection === "pca") pca = null; // a failed computation is not cached
+    if (requestId === latestRequestId) {
+      self.postMessage({ type: "error", requestId, message: err?.message ?? String(err) });
+    }
+  }
+}
+
+/**
+ * Returns the coordinates of the genes of a family along an axis, undefined if the family lacks one of its tissues.
+ * Untransformed axes use the tissue values as they are.
+ */
+function getAxisColumn(familyName, tissue, axisTransform) {
+  const familyData = dataset.get(familyName);
+  const { transform, derived } = axisTransform;
+  const operandTissues = derived === null ? [tissue] : [tissue, derived.tissue];
+  if (familyData === undefined || operandTissues.some((operand) => familyData.tissues[operand] === undefined)) {
+    return undefined;
+  }
+  if (transform === "none" && derived === null) {
+    return familyData.tissues[tissue];
+  }
+  return computeAxisColumn(axisTransform, operandTissues.map((operand) => {
+    const values = familyData.tissues[operand];
+    switch (transforms[transform].statistics) {
+      case "tissue":
+        return { values, statistics: getStatisticsOfTissue(operand) };
+      case "gene":
+        if (!geneStatistics.has(familyName)) {
+          geneStatistics.set(familyName, getGeneStatistics(Object.values(familyData.tissues)));
+        }
+        return { values, statistics: geneStatistics.get(familyName) };
+      default:
+        return { values, statistics: null };
+    }
+  }));
+}
+
+function getStatisticsOfTissue(tissue) {
+  if (!tissueStatistics.has(tissue)) {
+    const columns = [...dataset.values()].map((familyData) => familyData.tissues[tissue]).filter((values) => values !== undefined);
+    tissueStatistics.set(tissue, getTissueStatistics(columns));
+  }
+  return tissueStatistics.get(tissue);
+}
+
+/**
+ * Computes the principal components of a dataset over all of its tissues, pausing between families like calculate.
+ * It is not abandoned by newer requests, as they need the same components.
+ * Each step is announced to the listeners of pcaProgress.
+ */
+async function getPca(families) {
+  const tissues = Object.keys(families.values().next().value?.tissues ?? {});
+  const progress = { done: 0, total: 3 * families.size, listeners: new Set() }; // three steps per family
+  pcaProgress = progress;
+  try {
+    const steps = computePca([...families.values()], tissues);
+    let step = steps.next();
+    while (!step.done) {
+      progress.done = step.value;
+      progress.listeners.forEach((listener) => listener());
+      await new Promise((resolve) => setTimeout(resolve));
+      step = steps.next();
+    }
+    return step.value;
+  } finally {
+    if (pcaProgress === progress) pcaProgress = null;
+  }
+}
@@ -0,0 +1,198 @@
+"use strict";
+
+/**
+ * Chunk binning shared by the main thread and chunkWorker.js.
+ * Nothing in here may touch the DOM, BABYLON or config, as it also runs inside the worker.
+ */
+
+/**
+ * Returns the centroid of the chunk a position falls into.
+ * The centroid array doubles as key of the chunk, e.g. "50,0,-100".
+ * @param {number[]} position - [x, y, z] in world units.
+ * @param {number} diameter - Diameter of a chunk in world units.
+ * @returns {number[]} [x, y, z] of the chunk centroid.
+ */
+export function getChunkCentroid([ x, y, z ], diameter) {
+  function trim(a) {
+    return Math.floor((a + diameter / 2) / diameter) * diameter;
+  }
+  return [trim(x), trim(y), trim(z)];
+}
+
+/**
+ * Bins the genes of the given families into chunks and fills the thin instance buffers of every chunk:
+ * a 4x4 matrix (16 floats) and an rgba color (4 floats) per data point,
+ * spheres for regular genes and octahedrons for outliers.
+ * Alongside, every data point gets a reference to its gene (index of the family in families, index of the gene),
+ * so picked thin instances can be mapped back to the dataset.
+ *
+ * Written as generator to allow the caller to pause between families (e.g. to discard stale work),
+ * it yields the number of finished steps and returns the result when done.
+ * There is one step per family for binning and a final one for filling all buffers,
+ * so the total number of steps is the number of families plus one.
+ *
+ * @param {Object[]} families - Families to plot, in drawing order:
+ *   { name, isOutlier: Uint8Array, coordinates: Float32Array[] (one column per axis),
+ *     color: number[], outlierColor: number[], diameter: number, outlierDiameter: number, mask: Uint8Array|null }
+ *   Genes with a 0 in mask (see createFilterMask in filters.js) are left out, their positions are NaN.
+ *   So are genes without finite coordinates, e.g. after a transform undefined for their values (see axisTransforms.js).
+ * @param {number} scale - Factor from data units to world units.
+ * @param {number} chunkDiameter - Diameter of each chunk in world units.
+ * @returns {Generator<number, {chunks: Object[], positions: Float32Array[]}>}
+ *   positions holds the world position (x, y, z consecutively) of every gene per family,
+ *   chunks are of the form
+ *   { key, centroid, memberCounts: {<family>: number}, outlierCount,
+ *     sphere: { matrices, colors, refs }, octahedron: { matrices, colors, refs } }
+ *   with refs holding two entries per data point: family index and gene index.
+ */
+export function* calculateChunks(families, scale, chunkDiameter) {
+  const chunks = [];
+  const chunkIndices = new Map(); // chunk key -> index in chunks
+  const geneChunks = []; // per family: chunk index of every gene, to skip the binning in the second pass
+  const positions = [];
+  let steps = 0;
+
+  // first pass: count the members of every chunk to allocate the buffers in one go
+  const scaled = [0, 0, 0];
+  for (const { name, isOutlier, coordinates: [valuesX, valuesY, valuesZ], mask } of families) {
+    const chunkOfGene = new Int32Array(isOutlier.length);
+    const familyPositions = new Float32Array(3 * isOutlier.length);
+    for (let i = 0; i < isOutlier.length; i++) {
+      scaled[0] = valuesX[i] * scale;
+      scaled[1] = valuesY[i] * scale;
+      scaled[2] = valuesZ[i] * scale;
+      if ((mask && !mask[i]) || !scaled.every(Number.isFinite)) {
+        familyPositions.fill(NaN, 3 * i, 3 * i + 3);
+        chunkOfGene[i] = -1;
+        continue;
+      }
+      familyPositions.set(scaled, 3 * i);
+
+      const centroid = getChunkCentroid(scaled, chunkDiameter);
+      const key = centroid.toString();
+      let chunkIndex = chunkIndices.get(key);
+      if (chunkIndex === undefined) {
+        chunkIndex = chunks.length;
+        chunkIndices.set(key, chunkIndex);
+        chunks.push({ key, centroid, memberCounts: {}, outlierCount: 0, pointCount: 0 });
+      }
+      const chunk = chunks[chunkIndex];
+      chunk.memberCounts[name] = (chunk.memberCounts[name] ?? 0) + 1;
+      chunk.outlierCount += isOutlier[i];
+      chunk.pointCount++;
+      chunkOfGene[i] = chunkIndex;
+    }
+    geneChunks.push(chunkOfGene);
+    positions.push(familyPositions);
+    yield ++steps;
+  }
+
+  for (const chunk of chunks) {
+    const sphereCount = chunk.pointCount - chunk.outlierCount;
+    chunk.sphere = createBuffers(sphereCount);
+    chunk.octahedron = createBuffers(chunk.outlierCount);
+    chunk.sphereFill = 0;
+    chunk.octahedronFill = 0;
+  }
+
+  // second pass: fill the buffers, within each chunk the data points stay grouped by family
+  families.forEach(({ isOutlier, color, outlierColor, diameter, outlierDiameter }, f) => {
+    const chunkOfGene = geneChunks[f];
+    const familyPositions = positions[f];
+    for (let i = 0; i < isOutlier.length; i++) {
+      if (chunkOfGene[i] === -1) continue; // filtered out
+      const chunk = chunks[chunkOfGene[i]];
+      const [buffers, index] = isOutlier[i] ? [chunk.octahedron, chunk.octahedronFill++] : [chunk.sphere, chunk.sphereFill++];
+      fillThinInstanceBuffers(
+        buffers, index,
+        isOutlier[i] ? outlierDiameter : diameter,
+        familyPositions[3 * i], familyPositions[3 * i + 1], familyPositions[3 * i + 2],
+        isOutlier[i] ? outlierColor : color
+      );
+      buffers.refs[2 * index] = f;
+      buffers.refs[2 * index + 1] = i;
+    }
+  });
+  yield ++steps;
+
+  for (const chunk of chunks) {
+    delete chunk.sphereFill;
+    delete chunk.octahedronFill;
+    delete chunk.pointCount;
+  }
+
+  return { chunks, positions };
+}
+
+/**
+ * Counts the genes per cell of a regular grid, for the density rendering mode.
+ * The cells are binned just like chunks (see getChunkCentroid), only smaller.
+ * @param {Float32Array[]} positions - World positions per family, as returned by calculateChunks.
+ * @param {ArrayLike<number>[]} isOutlier - Outlier flags per family. Outliers are not counted, as they keep their meshes.
+ * @param {number} cellSize - Edge length of each cell in world units.
+ * @returns {{centroids: Float32Array, counts: Uint32Array}} Centroid (x, y, z consecutively) and gene count of every non-empty cell.
+ */
+export function calculateDensity(positions, isOutlier, cellSize) {
+  const cells = new Map(); // cell key -> { centroid, count }
+  const position = [0, 0, 0];
+  positions.forEach((familyPositions, f) => {
+    for (let i = 0; 3 * i < familyPositions.length; i++) {
+      if (isOutlier[f][i] || Number.isNaN(familyPositions[3 * i])) continue; // outlier or left out
+      position[0] = familyPositions[3 * i];
+      position[1] = familyPositions[3 * i + 1];
+      position[2] = familyPositions[3 * i + 2];
+      const centroid = getChunkCentroid(position, cellSize);
+      const key = centroid.toString();
+      const cell = cells.get(key);
+      if (cell === undefined) {
+        cells.set(key, { centroid, count: 1 });
+      } else {
+        cell.count++;
+      }
+    }
+  });
+
+  const centroids = new Float32Array(3 * cells.size);
+  const counts = new Uint32Array(cells.size);
+  let c = 0;
+  for (const { centroid, count } of cells.values()) {
+    centroids.set(centroid, 3 * c);
+    counts[c++] = count;
+  }
+  return { centroids, counts };
+}
+
+function createBuffers(count) {
+  return {
+    matrices: new Float32Array(16 * count),
+    colors: new Float32Array(4 * count),
+    refs: new Uint32Array(2 * count)
+  };
+}
+
+/**
+ * Writes the matrix and color of one data point into the buffers of a mesh.
+ * @param {{matrices: Float32Array, colors: Float32Array}} buffers - The buffers of the mesh.
+ * @param {number} index - Index of the data point within the mesh.
+ * @param {number} diameter - Diameter of the data point.
+ * @param {number} x - x position in world units.
+ * @param {number} y - y position in world units.
+ * @param {number} z - z position in world units.
+ * @param {number[]} color - [r, g, b, a], each between 0 and 1.
+ */
+export function fillThinInstanceBuffers({ matrices, colors }, index, diameter, x, y, z, color) {
+  const dIndex = index * 16;
+  matrices[dIndex] = diameter; // set x scale
+  matrices[dIndex + 5] = diameter; // set y scale
+  matrices[dIndex + 10] = diameter; // set z scale
+
+  matrices[dIndex + 12] = x;
+  matrices[dIndex + 13] = y;
+  matrices[dIndex + 14] = z;
+
+  matrices[dIndex + 15] = 1;
+  // the unchanged indices affect the rotation of the sphere -> zero
+
+  // setting color
+  colors.set(color, index * 4);
+}
@@ -0,0 +1,63 @@
+"use strict";
+
+// Fixed time while recording, null while following the wall clock.
+let fixedTime = null;
+
+// Difference to performance.now(), so the time continues seamlessly after recording.
+let offset = 0;
+
+/**
+ * Time source of all animations driven by this application (tissue transitions, camera poses, tour steps).
+ * Follows performance.now(), but can be advanced in fixed steps instead,
+ * so recordings show the same animation regardless of how long rendering a frame takes (see recorder.js).
+ */
+export const clock = {
+  /**
+   * Returns the current time in milliseconds.
+   */
+  now() {
+    return fixedTime ?? performance.now() - offset;
+  },
+  /**
+   * Stops following the wall clock, the time only changes by advance from now on.
+   */
+  useFixedTime() {
+    fixedTime = clock.now();
+  },
+  /**
+   * Advances the fixed time.
+   * @param {number} milliseconds - The time to advance by.
+   */
+  advance(milliseconds) {
+    if (fixedTime === null) throw Error("The clock follows the wall clock and cannot be advanced");
+    fixedTime += milliseconds;
+  },
+  /**
+   * Follows the wall clock again, starting at the current fixed time.
+   */
+  useWallTime() {
+    if (fixedTime !== null) {
+      offset = performance.now() - fixedTime;
+      fixedTime = null;
+    }
+  },
+  /**
+   * Waits until the time has advanced by the given duration, checked before every frame of the scene.
+   * @param {BABYLON.Scene} scene - The scene whose frames are counted.
+   * @param {number} milliseconds - The duration to wait.
+   * @returns {Promise<void>}
+   */
+  wait(scene, milliseconds) {
+    const end = clock.now() + milliseconds;
+    return new Promise((resolve) => {
+      const observer = scene.onBeforeRenderObservable.add(() => {
+        if (clock.now() >= end) {
+          scene.onBeforeRenderObservable.remove(observer);
+          resolve();
+        }
+      });
+    });
+  }
+};
+
+Object.freeze(clock);
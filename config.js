@@ -1,5 +1,8 @@
 "use strict";
 
+import { validateFilters } from "./filters.js";
+import { validateAxisTransform } from "./axisTransforms.js";
+
 function setupConfig() {
   const defaults = {
     allModes: {
@@ -16,11 +19,40 @@ function setupConfig() {
       scale: 100,
       chunkDiameter: 50,
       chunkLoadRange: 2,
+      lodLowPolyDistance: 2, // in chunks from the chunk of the camera, see getDetailLevel in plotData.js
+      lodImpostorDistance: 4,
+      chunkBuildBudget: 8, // chunks built per frame at most, see plotData
+      chunkStats: false, // see chunkStats.js
       shownFamilies: null,
+      filters: { tissues: {}, outliers: "all", metaData: [] }, // see filters.js
+      projection: "tissues", // "tissues" plots tissueX, tissueY and tissueZ, "pca" the first three principal components
       tissueX: "Liver",
       tissueY: "Heart",
       tissueZ: "Lung",
-      outlierDataPointDiameter: 0.25
+      // per axis, see axisTransforms.js, not used for principal components
+      transformX: { transform: "none", derived: null },
+      transformY: { transform: "none", derived: null },
+      transformZ: { transform: "none", derived: null },
+      outlierDataPointDiameter: 0.25,
+      renderMode: "points", // "points" draws every gene, "density" the number of regular genes per cell, see density.js
+      densityCellSize: 5, // in world units
+      densityOpacity: 0.6, // of the densest cells
+      centroids: false, // see centroids.js
+      centroidLines: false,
+      spreadEllipsoids: false,
+      tissueTransitionDuration: 1000, // in milliseconds, 0 disables the animation
+      tour: [], // steps of the guided tour, see tour.js
+      geneSets: [], // named gene sets, see geneSets.js
+      recordingWidth: 1920,
+      recordingHeight: 1080,
+      recordingFrameRate: 30,
+      exportWidth: 1920,
+      exportHeight: 1080,
+      exportDpi: 96, // pixels per inch, the exported image has exportWidth * exportDpi / 96 pixels
+      exportTransparent: false,
+      exportLegend: true,
+      exportAxisLabels: true,
+      exportFileName: "tox_flyer_{tissueX}_{tissueY}_{tissueZ}_{date}" // see exporter.js for the placeholders
     },
     lightMode: {
       selectedDataPointColor: "#FFFF00FF",
@@ -51,7 +83,7 @@ function setupConfig() {
   };
   
   const callbacks = {};
-  const validate = getValidator();
+  const { validate, getType } = getValidator();
 
   const triggersChunkReload = [
     "tissueX",
@@ -61,7 +93,14 @@ function setupConfig() {
     "chunkLoadRange",
     "scale",
     "darkMode",
-    "shownFamilies"
+    "shownFamilies",
+    "filters",
+    "projection",
+    "transformX",
+    "transformY",
+    "transformZ",
+    "renderMode",
+    "densityCellSize"
   ];
 
   const config = {
@@ -83,6 +122,11 @@ function setupConfig() {
         else if (config.get("darkMode")) values.darkMode[key] = value;
         else values.lightMode[key] = value;
 
+        // unlike the setter callbacks, any number of listeners is notified, even without runCallback
+        document.dispatchEvent(new CustomEvent("configChange", {
+          detail: { key, value }
+        }));
+
         if (runCallback) {
           callbacks[key]?.(value);
 
@@ -103,9 +147,32 @@ function setupConfig() {
         throw Error(`Another callback function has been already registered for '${key}' in the past.`);
       }
     },
+    /**
+     * Lists all settings with a default value and the type of value they accept (see getValidator),
+     * e.g. to build a user interface for them.
+     * @returns {{key: string, type: string}[]}
+     */
+    getSchema() {
+      const keys = new Set([
+        ...Object.keys(defaults.allModes),
+        ...Object.keys(defaults.lightMode),
+        ...Object.keys(defaults.darkMode)
+      ]);
+      return [...keys].map((key) => ({ key, type: getType(key) }));
+    },
+    getType(key) {
+      return getType(key);
+    },
     asURL() {
       const currentURL = new URL(document.URL);
-      return `${currentURL.origin}${currentURL.pathname}?config=${btoa(JSON.stringify(values))}`;
+      const sharedURL = new URL(currentURL.origin + currentURL.pathname);
+      // keep the dataset, so the shared view shows the same data
+      const dataArg = currentURL.searchParams.get("data");
+      if (dataArg) sharedURL.searchParams.set("data", dataArg);
+      // btoa only takes single byte characters, but names (e.g. of gene sets) may contain any
+      const bytes = new TextEncoder().encode(JSON.stringify(values));
+      sharedURL.searchParams.set("config", btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join("")));
+      return sharedURL.toString();
     }
   }
 
@@ -128,10 +195,17 @@ function setupConfig() {
     const currentURL = new URL(document.URL);
     const configArg = currentURL.searchParams.get("config");
     if (configArg) {
-      const importingConfig = JSON.parse(atob(configArg));
+      const bytes = Uint8Array.from(atob(configArg), (c) => c.charCodeAt(0));
+      const importingConfig = JSON.parse(new TextDecoder().decode(bytes));
       if (importingConfig.allModes) values.allModes = importingConfig.allModes;
       if (importingConfig.darkMode) values.darkMode = importingConfig.darkMode;
       if (importingConfig.lightMode) values.lightMode = importingConfig.lightMode;
+      // shared URLs may be outdated or edited by hand, invalid values are dropped just like config.set rejects them
+      for (const modeValues of Object.values(values)) {
+        for (const [key, value] of Object.entries(modeValues)) {
+          if (validate(key, value) === undefined) delete modeValues[key];
+        }
+      }
     }
   } catch (err) {
     console.log("Could not import config from URL");
@@ -140,48 +214,164 @@ function setupConfig() {
   return config;
 }
 
+/**
+ * Creates the validation of config values.
+ * Every key has a type describing the values it accepts:
+ * - "boolean"
+ * - "number"
+ * - "positiveNumber": number greater than zero
+ * - "nonNegativeNumber": number greater than or equal to zero
+ * - "positiveInteger": integer greater than zero
+ * - "families": null (all families) or an array of family names
+ * - "tissue": name of a tissue
+ * - "projection": "tissues" or "pca"
+ * - "renderMode": "points" or "density"
+ * - "axisTransform": transform of an axis, see axisTransforms.js
+ * - "filters": gene filters, see filters.js
+ * - "color": RGB(A) hex color code, for all keys ending in "Color"
+ * - "tour": array of tour steps, see tour.js
+ * - "geneSets": array of named gene sets, see geneSets.js
+ * - "string"
+ * Keys ending in "Diameter" are of type "positiveNumber".
+ * @returns {{validate: function(string, *): (true|undefined), getType: function(string): (string|undefined)}}
+ */
 function getValidator() {
   const validators = {};
+  const types = {};
   {
     const asArray = [
       [
-        ["orbitMode", "darkMode"],
+        [
+          "orbitMode", "darkMode", "centroids", "centroidLines", "spreadEllipsoids", "chunkStats",
+          "exportTransparent", "exportLegend", "exportAxisLabels"
+        ],
+        "boolean",
         v => {
           if (typeof v !== "boolean") throw Error("Expecting boolean value, got:", typeof v);
         }
       ],
       [
         ["x", "y", "z", "rotationX", "rotationY"],
+        "number",
         v => {
           if (typeof v !== "number") throw Error("Expecting number, got:", typeof v);
         }
       ],
       [
-        ["orbitModeTargetDistance", "mouseSensibility", "movementSpeed", "scale"],
+        ["orbitModeTargetDistance", "mouseSensibility", "movementSpeed", "scale", "densityCellSize", "densityOpacity"],
+        "positiveNumber",
         v => {
           if (typeof v !== "number" || v <= 0) throw Error(`Expecting true positive number, got: ${v} (${typeof v})`);
         }
       ],
       [
-        ["chunkDiameter", "chunkLoadRange"],
+        ["tissueTransitionDuration"],
+        "nonNegativeNumber",
+        v => {
+          if (typeof v !== "number" || !(v >= 0)) throw Error(`Expecting non-negative number, got: ${v} (${typeof v})`);
+        }
+      ],
+      [
+        [
+          "chunkDiameter", "chunkLoadRange", "lodLowPolyDistance", "lodImpostorDistance", "chunkBuildBudget",
+          "recordingWidth", "recordingHeight", "recordingFrameRate",
+          "exportWidth", "exportHeight", "exportDpi"
+        ],
+        "positiveInteger",
         v => {
           if (!Number.isInteger(v) || v <= 0) throw Error(`Expecting true positive integer, got: ${v} (${typeof v})`);
         }
       ],
       [
         ["shownFamilies"],
+        "families",
         v => {
           if (v !== null && !(v instanceof Array)) throw Error(`Expecting either null or Array of family names, got: ${typeof v}`)
         }
       ],
-      [["tissueX", "tissueY", "tissueZ"], () => {}]
+      [["tissueX", "tissueY", "tissueZ"], "tissue", () => {}],
+      [
+        ["transformX", "transformY", "transformZ"],
+        "axisTransform",
+        v => {
+          const problems = validateAxisTransform(v);
+          if (problems.length > 0) throw Error(`Invalid axis transform: ${problems.join("; ")}`);
+        }
+      ],
+      [
+        ["renderMode"],
+        "renderMode",
+        v => {
+          if (!["points", "density"].includes(v)) throw Error(`Expecting "points" or "density", got: ${v}`);
+        }
+      ],
+      [
+        ["projection"],
+        "projection",
+        v => {
+          if (!["tissues", "pca"].includes(v)) throw Error(`Expecting "tissues" or "pca", got: ${v}`);
+        }
+      ],
+      [
+        ["filters"],
+        "filters",
+        v => {
+          const problems = validateFilters(v);
+          if (problems.length > 0) throw Error(`Invalid filters: ${problems.join("; ")}`);
+        }
+      ],
+      [
+        ["geneSets"],
+        "geneSets",
+        v => {
+          if (!(v instanceof Array)) throw Error(`Expecting Array of gene sets, got: ${typeof v}`);
+          for (const set of v) {
+            if (typeof set?.name !== "string" || !/^#[A-Fa-f0-9]{6}(?:[A-Fa-f0-9]{2})?$/.test(set.color)
+              || typeof set.visible !== "boolean" || !(set.genes instanceof Array)) {
+              throw Error(`Expecting gene sets with name, color, visible and genes, got: ${JSON.stringify(set)}`);
+            }
+            const member = set.genes.find((gene) => {
+              return !(gene instanceof Array) || gene.length !== 2 || gene.some((part) => typeof part !== "string");
+            });
+            if (member !== undefined) {
+              throw Error(`Expecting the genes of '${set.name}' as [family, gene id] pairs, got: ${JSON.stringify(member)}`);
+            }
+          }
+        }
+      ],
+      [
+        ["exportFileName"],
+        "string",
+        v => {
+          if (typeof v !== "string" || v.trim() === "") throw Error(`Expecting non-empty string, got: ${v} (${typeof v})`);
+        }
+      ],
+      [
+        ["tour"],
+        "tour",
+        v => {
+          if (!(v instanceof Array)) throw Error(`Expecting Array of tour steps, got: ${typeof v}`);
+          for (const step of v) {
+            if (typeof step?.settings !== "object" || typeof step.pose !== "object"
+              || typeof step.flight !== "number" || typeof step.hold !== "number") {
+              throw Error(`Expecting tour steps with settings, pose, flight and hold, got: ${JSON.stringify(step)}`);
+            }
+          }
+        }
+      ]
     ]
-    for (const [keys, validator] of asArray) {
+    for (const [keys, type, validator] of asArray) {
       for (const key of keys) {
         validators[key] = validator;
+        types[key] = type;
       }
     }
   }
+  function getType(key) {
+    if (types[key] !== undefined) return types[key];
+    if (key.endsWith("Diameter")) return "positiveNumber";
+    if (key.endsWith("Color")) return "color";
+  }
   function validate(key, value) {
     const validator = validators[key];
     if (validator !== undefined) {
@@ -210,7 +400,7 @@ function getValidator() {
     }
   }
 
-  return validate;
+  return { validate, getType };
 }
 
 export const config = setupConfig();
@@ -0,0 +1,35 @@
+/**
+ * Converts a JSON dataset or expression table into the binary columnar format (see binaryDataset.js).
+ *
+ * Usage: node convertDataset.mjs <input.json|input.csv|input.tsv> <output.tsb>
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { encodeBinaryDataset } from "./binaryDataset.js";
+import { parseExpressionTable } from "./expressionTable.js";
+
+const [input, output] = process.argv.slice(2);
+if (input === undefined || output === undefined) {
+  console.error("Usage: node convertDataset.mjs <input.json|input.csv|input.tsv> <output.tsb>");
+  process.exit(1);
+}
+
+try {
+  const text = await readFile(input, "utf8");
+  const extension = input.split(".").pop().toLowerCase();
+  let data;
+  if (extension === "csv") {
+    data = parseExpressionTable(text, ",");
+  } else if (extension === "tsv" || extension === "tab") {
+    data = parseExpressionTable(text, "\t");
+  } else {
+    data = JSON.parse(text);
+  }
+
+  const buffer = encodeBinaryDataset(data);
+  await writeFile(output, new Uint8Array(buffer));
+  console.log(`Wrote ${Object.keys(data).length} families to ${output} (${buffer.byteLength} bytes)`);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -1,15 +1,45 @@
 "use strict";
 
-import data from "./sampleData.json" with { type: "json" };
+import { validateDataset, DatasetError } from "./datasetValidator.js";
+
+// the currently loaded dataset and the source it was loaded from, both replaced by handler.setSource
+let data = {};
+let currentSource = null;
+
+// keys of a family that are not per-gene metadata
+const nonMetaDataKeys = ["genes", "is_outlier", "tissues", "centroid"];
 
 export const handler = {
   get families() {
     return Object.keys(data);
   },
+  get source() {
+    return currentSource;
+  },
+  /**
+   * Loads the dataset of the given source and makes it the current one.
+   * The previous dataset stays in place if loading fails or the loaded dataset is invalid.
+   * On success, a chunkReload is dispatched so the plot is rebuilt from the new data.
+   * @param {{name: string, load: function(): Promise<Object>}} source - A data source, see dataSources.js.
+   * @throws {DatasetError} If the loaded dataset does not pass validateDataset.
+   */
+  async setSource(source) {
+    const newData = await source.load();
+    const problems = validateDataset(newData);
+    if (problems.length > 0) {
+      throw new DatasetError(`Invalid dataset '${source.name}'`, problems);
+    }
+    data = newData;
+    currentSource = source;
+
+    document.dispatchEvent(new CustomEvent("chunkReload", {
+      detail: { setting: "data" }
+    }));
+  },
   get tissues() {
     return Object.keys(
-      data[this.families[0]]?.[tissues] ?? {}
-    )
+      data[this.families[0]]?.tissues ?? {}
+    );
   },
   getColor(family) {
     // using the checksum of the family name as color code
@@ -26,20 +56,83 @@ export const handler = {
       return data[family]?.["centroid"][tissue];
     })
   },
+  /**
+   * Returns the columns of a family as stored, without building per-gene objects.
+   * Depending on the source, the columns are plain arrays or typed arrays.
+   * @param {string} family - Name of the family.
+   * @param {...string} tissues - Tissues to return the values of.
+   * @returns {{genes: string[], isOutlier: ArrayLike<boolean|number>, values: (ArrayLike<number>|undefined)[]}|undefined}
+   *   The columns, undefined for unknown families; values holds one column per requested tissue.
+   */
+  getColumns(family, ...tissues) {
+    const familyData = data[family];
+    if (familyData === undefined) return undefined;
+    return {
+      genes: familyData.genes,
+      isOutlier: familyData.is_outlier,
+      values: tissues.map((tissue) => familyData.tissues[tissue])
+    };
+  },
+  /**
+   * Returns the extra per-gene arrays of a family, e.g. annotations beyond id, outlier flag and tissue values.
+   * @param {string} family - Name of the family.
+   * @returns {Object<string, Array>} The arrays by field name, empty for unknown families.
+   */
+  getMetaDataColumns(family) {
+    const familyData = data[family] ?? {};
+    return Object.fromEntries(Object.entries(familyData).filter(([key]) => !nonMetaDataKeys.includes(key)));
+  },
+  /**
+   * Names of all metadata fields occurring in any family, see getMetaDataColumns.
+   */
+  get metaDataFields() {
+    const fields = new Set();
+    for (const familyData of Object.values(data)) {
+      for (const key of Object.keys(familyData)) {
+        if (!nonMetaDataKeys.includes(key)) fields.add(key);
+      }
+    }
+    return [...fields];
+  },
+  /**
+   * Returns everything known about a single gene.
+   * @param {string} family - Name of the family.
+   * @param {number} index - Index of the gene within its family.
+   * @returns {{id: string, family: string, index: number, isOutlier: boolean,
+   *   values: Object<string, number>, metaData: Object<string, *>}|undefined}
+   *   The gene with its raw value per tissue and further per-gene metadata, undefined if it does not exist.
+   */
+  getGene(family, index) {
+    const familyData = data[family];
+    if (familyData === undefined || !(index >= 0 && index < familyData.genes.length)) return undefined;
+
+    const metaData = {};
+    for (const [key, values] of Object.entries(familyData)) {
+      if (!nonMetaDataKeys.includes(key)) {
+        metaData[key] = values[index];
+      }
+    }
+    return {
+      id: familyData.genes[index],
+      family,
+      index,
+      isOutlier: Boolean(familyData.is_outlier[index]),
+      values: Object.fromEntries(Object.entries(familyData.tissues).map(([tissue, values]) => [tissue, values[index]])),
+      metaData
+    };
+  },
   iterGenes: function* (family, ...tissues) {
     const familyData = data[family];
     if (familyData !== undefined) {
-      const allGeneData = Object.entries(familyData);
-      allGeneData.pop(); // remove centroid data
-      const allTissueData = allGeneData.pop()[1];
-      for (const i in familyData.genes) {
-        const singleGeneData = {}
-        for (const [key, values] of allGeneData) {
-          singleGeneData[key] = values[i];
+      // every per-gene array besides the tissue values is metadata, e.g. genes and is_outlier
+      const metaDataKeys = Object.keys(familyData).filter((key) => key !== "tissues" && key !== "centroid");
+      const tissueValues = tissues.map((tissue) => familyData.tissues[tissue]);
+      for (let i = 0; i < familyData.genes.length; i++) {
+        const singleGeneData = {};
+        for (const key of metaDataKeys) {
+          singleGeneData[key] = familyData[key][i];
         }
-        singleGeneData["coordinates"] = tissues.map((tissue) => {
-          return allTissueData[tissue]?.[i];
-        })
+        singleGeneData["coordinates"] = tissueValues.map((values) => values?.[i]);
         yield singleGeneData;
       }
     }
@@ -60,9 +153,3 @@ function crc32(str) {
 }
 
 Object.freeze(handler);
-
-Object.defineProperty(window, "iterFamilies", {
-  value: (function* () {for (const i of handler.families) {console.log(i);config.set("shownFamilies", [i]); yield;}}),
-  writable: false, // Prevents modification
-  configurable: false // Prevents deletion
-});
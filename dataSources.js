@@ -0,0 +1,195 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { parseExpressionTable } from "./expressionTable.js";
+import { DatasetError } from "./datasetValidator.js";
+import { readBinaryDataset } from "./binaryDataset.js";
+
+// dataset that is loaded if no ?data= query parameter is given
+const defaultDataURL = "./sampleData.json";
+
+/**
+ * A data source is a plain object with a display name and an async load function
+ * resolving to a dataset in the per-family format expected by dataHandler.js.
+ * Sources are handed to dataHandler.setSource, which is the only place they are loaded.
+ *
+ * The format is chosen by file extension: .csv and .tsv are expression tables (see expressionTable.js),
+ * .tsb is the binary columnar format (see binaryDataset.js), everything else is parsed as JSON.
+ */
+
+/**
+ * Reads the content of a dataset file according to its extension.
+ * @param {string} name - File name or URL, used to determine the format.
+ * @param {function(): Promise<string>} readText - Reads the whole content as text.
+ * @param {function(): ReadableStream<Uint8Array>} openStream - Opens the content as byte stream.
+ * @returns {Promise<Object>} The dataset.
+ */
+async function readDataset(name, readText, openStream) {
+  const extension = name.split(/[?#]/)[0].split(".").pop().toLowerCase();
+  switch (extension) {
+    case "tsb":
+      return readBinaryDataset(openStream(), (received, total) => showLoadingProgress(name, received, total));
+    case "csv":
+      return parseExpressionTable(await readText(), ",");
+    case "tsv":
+    case "tab":
+      return parseExpressionTable(await readText(), "\t");
+    default:
+      return JSON.parse(await readText());
+  }
+}
+
+/**
+ * Creates a data source for a dataset that is fetched from a URL.
+ * @param {string} url - Absolute URL or URL relative to the page.
+ * @returns {{name: string, url: string, load: function(): Promise<Object>}}
+ */
+export function urlSource(url) {
+  return {
+    name: url,
+    url,
+    async load() {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw Error(`Request for '${url}' failed with status ${response.status} ${response.statusText}`);
+      }
+      return readDataset(url, () => response.text(), () => response.body);
+    }
+  };
+}
+
+/**
+ * Creates a data source for a dataset picked by the user, e.g. via file input or drag-and-drop.
+ * @param {File} file - The file to read.
+ * @returns {{name: string, load: function(): Promise<Object>}}
+ */
+export function fileSource(file) {
+  return {
+    name: file.name,
+    async load() {
+      return readDataset(file.name, () => file.text(), () => file.stream());
+    }
+  };
+}
+
+/**
+ * Returns the source the page should start with:
+ * the URL given by the ?data= query parameter, otherwise the sample dataset.
+ */
+export function getInitialSource() {
+  const dataArg = new URL(document.URL).searchParams.get("data");
+  return urlSource(dataArg || defaultDataURL);
+}
+
+/**
+ * Loads the initial source, see getInitialSource.
+ * Failures are reported in the page, the view then starts without data so another dataset can be picked.
+ */
+export function loadInitialSource() {
+  const source = getInitialSource();
+  return dataHandler.setSource(source).catch((err) => reportLoadingError(source, err));
+}
+
+/**
+ * Loads a source at runtime and reports failures in the page instead of throwing,
+ * so a broken file does not take down the already running view.
+ * URL sources are written to the ?data= query parameter to survive a page reload.
+ */
+function switchSource(source) {
+  return dataHandler.setSource(source).then(() => {
+    hideDatasetReport();
+    if (source.url !== undefined) {
+      const currentURL = new URL(document.URL);
+      currentURL.searchParams.set("data", source.url);
+      history.replaceState(null, "", currentURL);
+    }
+  }).catch((err) => reportLoadingError(source, err));
+}
+
+/**
+ * Function: reportLoadingError
+ * Purpose: Show why a dataset could not be loaded in the #datasetReport panel.
+ * - DatasetErrors list each of their problems, any other error is shown by its message.
+ * - The panel stays open until it is closed or another dataset is loaded successfully.
+ */
+function reportLoadingError(source, err) {
+  console.error(`Could not load dataset '${source.name}':`, err);
+  document.getElementById("dataSourceName").textContent = dataHandler.source?.name ?? "";
+
+  const report = document.getElementById("datasetReport");
+  report.querySelector(".title").textContent = `Could not load dataset '${source.name}'`;
+  report.querySelector(".summary").textContent = err instanceof DatasetError ? err.summary : err.message;
+
+  const problemList = report.querySelector("ul");
+  problemList.replaceChildren(...(err.problems ?? []).map((problem) => {
+    const item = document.createElement("li");
+    item.textContent = problem;
+    return item;
+  }));
+
+  report.style.display = "block";
+}
+
+// shows how much of a streamed dataset has arrived in place of the source name
+function showLoadingProgress(name, received, total) {
+  const progress = total === undefined ? `${(received / 2**20).toFixed(1)} MiB` : `${Math.floor(100 * received / total)}%`;
+  document.getElementById("dataSourceName").textContent = `Loading ${name} (${progress})`;
+}
+
+function hideDatasetReport() {
+  document.getElementById("datasetReport").style.display = "none";
+}
+
+/**
+ * Function: setupDataSourceInput
+ * Purpose: Let the user replace the dataset while the view is running.
+ * - A file picked in the #dataFile input is loaded as new dataset.
+ * - A file dropped onto the canvas is loaded as new dataset.
+ * - The name of the current source is shown in #dataSourceName.
+ * - Datasets that fail to load are reported in #datasetReport.
+ * @param {HTMLCanvasElement} canvas - The canvas accepting dropped files.
+ */
+export function setupDataSourceInput(canvas) {
+  const fileInput = document.getElementById("dataFile");
+  const sourceName = document.getElementById("dataSourceName");
+
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files.length > 0) {
+      switchSource(fileSource(fileInput.files[0]));
+    }
+    fileInput.value = ""; // allows picking the same file again
+    canvas.focus(); // give the keyboard controls back to the view
+  });
+
+  canvas.addEventListener("dragover", (evt) => {
+    evt.preventDefault(); // required to allow dropping
+    evt.dataTransfer.dropEffect = "copy";
+  });
+  canvas.addEventListener("drop", (evt) => {
+    evt.preventDefault();
+    const file = evt.dataTransfer.files[0];
+    if (file !== undefined) {
+      switchSource(fileSource(file));
+    }
+  });
+
+  document.querySelector("#datasetReport button").addEventListener("click", () => {
+    hideDatasetReport();
+    canvas.focus();
+  });
+
+  document.addEventListener("chunkReload", (evt) => {
+    if (evt.detail.setting === "data") {
+      sourceName.textContent = dataHandler.source.name;
+    }
+  });
+  if (dataHandler.source !== null) {
+    sourceName.textContent = dataHandler.source.name;
+  }
+}
+
+Object.defineProperty(window, "loadData", {
+  value: (url) => switchSource(urlSource(url)),
+  writable: false, // Prevents modification
+  configurable: false // Prevents deletion
+});
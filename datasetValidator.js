@@ -0,0 +1,152 @@
+"use strict";
+
+/**
+ * Checks datasets against the per-family structure dataHandler.js works with:
+ * { <family>: { genes: [...], is_outlier: [...], tissues: { <tissue>: [...] }, centroid: { <tissue>: number } } }
+ * Further arrays of a family are per-gene metadata and need one entry per gene as well.
+ */
+
+const requiredKeys = ["genes", "is_outlier", "tissues", "centroid"];
+
+// stop collecting problems after this many, a broken dataset would otherwise produce one per gene
+const maxReportedProblems = 50;
+
+/**
+ * Error thrown for datasets that cannot be displayed.
+ * Besides the message it carries the list of all problems found, to be shown to the user.
+ */
+export class DatasetError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n${problems.join("\n")}` : message);
+    this.name = "DatasetError";
+    this.summary = message;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Validates a dataset.
+ * - every family has the required keys
+ * - genes, is_outlier, every tissue and every metadata array have the same length
+ * - expression values and centroids are finite numbers
+ * - all families share the same set of tissues
+ * @param {Object} data - The dataset to check.
+ * @returns {string[]} A readable description of every problem found, empty if the dataset is valid.
+ */
+export function validateDataset(data) {
+  const problems = [];
+  let problemCount = 0;
+  const report = (message) => {
+    if (problemCount++ < maxReportedProblems) problems.push(message);
+  };
+
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    return ["dataset must be an object with one entry per family"];
+  }
+  const families = Object.keys(data);
+  if (families.length === 0) {
+    return ["dataset contains no families"];
+  }
+
+  let expectedTissues = null;
+  let expectedTissuesFamily = null;
+
+  for (const family of families) {
+    const familyData = data[family];
+    if (typeof familyData !== "object" || familyData === null) {
+      report(`${family}: expecting an object, got ${typeof familyData}`);
+      continue;
+    }
+
+    const missingKeys = requiredKeys.filter((key) => familyData[key] === undefined);
+    if (missingKeys.length > 0) {
+      report(`${family}: missing ${missingKeys.map((key) => `'${key}'`).join(", ")}`);
+      continue;
+    }
+
+    const { genes, is_outlier: isOutlier, tissues, centroid } = familyData;
+    if (!isArrayLike(genes)) {
+      report(`${family}: 'genes' must be an array`);
+      continue;
+    }
+    const geneCount = genes.length;
+
+    if (!isArrayLike(isOutlier)) {
+      report(`${family}: 'is_outlier' must be an array`);
+    } else {
+      if (isOutlier.length !== geneCount) {
+        report(`${family}: 'is_outlier' has ${isOutlier.length} entries, but there are ${geneCount} genes`);
+      }
+      const index = Array.prototype.findIndex.call(isOutlier, (v) => typeof v !== "boolean" && v !== 0 && v !== 1);
+      if (index !== -1) {
+        report(`${family}: 'is_outlier' of gene ${describeGene(genes, index)} must be a boolean, got ${JSON.stringify(isOutlier[index])}`);
+      }
+    }
+
+    for (const [key, values] of Object.entries(familyData)) {
+      if (!requiredKeys.includes(key) && isArrayLike(values) && values.length !== geneCount) {
+        report(`${family}: metadata '${key}' has ${values.length} entries, but there are ${geneCount} genes`);
+      }
+    }
+
+    if (!isPlainObject(tissues)) {
+      report(`${family}: 'tissues' must be an object with one array per tissue`);
+      continue;
+    }
+    const hasCentroid = isPlainObject(centroid);
+    if (!hasCentroid) {
+      report(`${family}: 'centroid' must be an object with one number per tissue, got ${JSON.stringify(centroid)}`);
+    }
+    for (const [tissue, values] of Object.entries(tissues)) {
+      if (!isArrayLike(values)) {
+        report(`${family}: tissue '${tissue}' must be an array`);
+        continue;
+      }
+      if (values.length !== geneCount) {
+        report(`${family}: tissue '${tissue}' has ${values.length} values, but there are ${geneCount} genes`);
+      }
+      const index = Array.prototype.findIndex.call(values, (v) => !Number.isFinite(v));
+      if (index !== -1) {
+        report(`${family}: tissue '${tissue}' of gene ${describeGene(genes, index)} must be a number, got ${JSON.stringify(values[index])}`);
+      }
+      if (hasCentroid && !Number.isFinite(centroid[tissue])) {
+        report(`${family}: centroid of tissue '${tissue}' must be a number, got ${JSON.stringify(centroid[tissue])}`);
+      }
+    }
+
+    const tissueNames = Object.keys(tissues);
+    if (expectedTissues === null) {
+      expectedTissues = tissueNames;
+      expectedTissuesFamily = family;
+    } else {
+      const missing = expectedTissues.filter((tissue) => !tissueNames.includes(tissue));
+      const additional = tissueNames.filter((tissue) => !expectedTissues.includes(tissue));
+      if (missing.length > 0 || additional.length > 0) {
+        const differences = [
+          ...missing.map((tissue) => `lacks '${tissue}'`),
+          ...additional.map((tissue) => `has additional '${tissue}'`)
+        ];
+        report(`${family}: tissues differ from those of ${expectedTissuesFamily}, ${differences.join(", ")}`);
+      }
+    }
+  }
+
+  if (problemCount > maxReportedProblems) {
+    problems.push(`(${problemCount - maxReportedProblems} further problems omitted)`);
+  }
+
+  return problems;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// arrays and typed arrays are both accepted as columns
+function isArrayLike(value) {
+  return Array.isArray(value) || ArrayBuffer.isView(value);
+}
+
+function describeGene(genes, index) {
+  return genes[index] === undefined ? `#${index}` : `'${genes[index]}' (#${index})`;
+}
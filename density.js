@@ -0,0 +1,67 @@
+"use strict";
+
+// Color ramp from the sparsest to the densest cells, [position, r, g, b] with positions between 0 and 1.
+const colorRamp = [
+  [0, 0.27, 0.00, 0.33],
+  [0.25, 0.23, 0.32, 0.55],
+  [0.5, 0.13, 0.57, 0.55],
+  [0.75, 0.37, 0.79, 0.38],
+  [1, 0.99, 0.91, 0.14]
+];
+
+// Even the sparsest cells keep this share of config.get("densityOpacity"), so single genes stay visible.
+const minOpacityShare = 0.15;
+
+/**
+ * Returns the color of the ramp at a position between 0 (sparse) and 1 (dense).
+ * @param {number} t - The position.
+ * @returns {number[]} [r, g, b], each between 0 and 1.
+ */
+export function getRampColor(t) {
+  const upper = colorRamp.findIndex(([position]) => position >= t);
+  if (upper === -1) return colorRamp[colorRamp.length - 1].slice(1);
+  if (upper === 0) return colorRamp[0].slice(1);
+  const [p0, ...c0] = colorRamp[upper - 1];
+  const [p1, ...c1] = colorRamp[upper];
+  const f = (t - p0) / (p1 - p0);
+  return c0.map((c, i) => c + (c1[i] - c) * f);
+}
+
+/**
+ * Function: createDensityMesh
+ * Purpose: Draw the gene counts per cell (see calculateDensity in chunking.js) as translucent voxels.
+ * - One box per non-empty cell, colored along the ramp by the logarithm of its count relative to the densest cell,
+ *   so sparse regions stay distinguishable next to dense ones.
+ * - Denser cells are more opaque, up to config.get("densityOpacity").
+ * - The voxels neither write depth nor can be picked, so outliers and selected genes inside remain visible and clickable.
+ * @param {BABYLON.Scene} scene - The main scene.
+ * @param {{centroids: Float32Array, counts: Uint32Array}} density - The non-empty cells.
+ * @param {number} cellSize - Edge length of each cell in world units.
+ * @returns {BABYLON.Mesh}
+ */
+export function createDensityMesh(scene, { centroids, counts }, cellSize) {
+  const mesh = BABYLON.MeshBuilder.CreateBox("densityVoxels", { size: cellSize }, scene);
+  const material = new BABYLON.StandardMaterial("densityVoxelsMat", scene);
+  material.disableLighting = true;
+  material.emissiveColor = BABYLON.Color3.Black();
+  material.disableDepthWrite = true;
+  mesh.material = material;
+  mesh.hasVertexAlpha = true;
+  mesh.isPickable = false;
+
+  const maxCount = counts.reduce((max, count) => Math.max(max, count), 0);
+  const opacity = Math.min(1, config.get("densityOpacity"));
+  const matrices = new Float32Array(16 * counts.length);
+  const colors = new Float32Array(4 * counts.length);
+  counts.forEach((count, i) => {
+    const t = maxCount > 1 ? Math.log(count) / Math.log(maxCount) : 1;
+    colors.set([...getRampColor(t), opacity * (minOpacityShare + (1 - minOpacityShare) * t)], 4 * i);
+    BABYLON.Matrix.TranslationToRef(centroids[3 * i], centroids[3 * i + 1], centroids[3 * i + 2], BABYLON.TmpVectors.Matrix[0]);
+    BABYLON.TmpVectors.Matrix[0].copyToArray(matrices, 16 * i);
+  });
+  mesh.thinInstanceSetBuffer("matrix", matrices, 16);
+  mesh.thinInstanceSetBuffer("color", colors, 4);
+  // an empty buffer would render the box itself
+  mesh.isVisible = counts.length > 0;
+  return mesh;
+}
@@ -0,0 +1,384 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { iterPlottedGenes, getAxes, getPlottedFamilies, getFamilyColor, getDataPointDiameter } from "./plotData.js";
+import { getAxisLabels } from "./grid.js";
+import { createControl } from "./settingsPanel.js";
+
+// settings shown in the export dialog
+const exportSettings = [
+  "exportWidth", "exportHeight", "exportDpi", "exportTransparent", "exportLegend", "exportAxisLabels", "exportFileName"
+];
+
+// DPI of CSS pixels, exportWidth and exportHeight are given in these
+const cssDpi = 96;
+
+// at most this many families are listed in the legend of an export
+const maxLegendEntries = 25;
+
+/**
+ * Function: setupExporter
+ * Purpose: Export the current view as PNG image or as SVG figure, configured in the #export dialog.
+ * - Enter on the canvas opens and closes the dialog.
+ * - PNG: the main and the compass scene rendered at exportWidth x exportHeight CSS pixels at exportDpi,
+ *   the DPI is stored in the file as well.
+ * - SVG: the plotted genes projected with the current camera, as circles sorted by depth (outliers with an outline),
+ *   for publication figures that stay sharp at any size.
+ * - Both can include the axis labels of the grid and a legend of the shown families,
+ *   and can have a transparent background.
+ * - The file name follows exportFileName, see getFileName for the placeholders.
+ * @param {BABYLON.Engine} engine - The engine rendering the scenes.
+ * @param {BABYLON.Scene} scene - The main scene.
+ * @param {BABYLON.Scene} compassScene - The scene of the compass, drawn on top of the main scene.
+ */
+export function setupExporter(engine, scene, compassScene) {
+  const dialog = document.getElementById("export");
+  const settingsElement = dialog.querySelector(".settings");
+  const [pngButton, svgButton, closeButton] = dialog.querySelectorAll(".buttons button");
+  const canvas = engine.getRenderingCanvas();
+
+  const controls = exportSettings.map((key) => createControl(key, config.getType(key)));
+  settingsElement.replaceChildren(...controls.map((control) => control.element));
+
+  const toggle = () => {
+    const open = dialog.style.display !== "block";
+    dialog.style.display = open ? "block" : "none";
+    if (open) {
+      controls.forEach((control) => control.refresh());
+    } else {
+      canvas.focus();
+    }
+  };
+
+  canvas.addEventListener("keydown", (evt) => {
+    if (evt.key === "Enter") {
+      toggle();
+    }
+  });
+  closeButton.addEventListener("click", toggle);
+
+  const runExport = async (button, exportFunction) => {
+    button.disabled = true;
+    try {
+      await exportFunction();
+    } catch (err) {
+      console.error("Export failed:", err);
+    } finally {
+      button.disabled = false;
+    }
+  };
+  pngButton.addEventListener("click", () => runExport(pngButton, () => exportPng(engine, scene, compassScene)));
+  svgButton.addEventListener("click", () => runExport(svgButton, () => exportSvg(scene)));
+}
+
+/**
+ * Returns the options of an export from config.
+ */
+function getExportOptions() {
+  const pixelRatio = config.get("exportDpi") / cssDpi;
+  return {
+    width: config.get("exportWidth"),
+    height: config.get("exportHeight"),
+    dpi: config.get("exportDpi"),
+    pixelRatio,
+    transparent: config.get("exportTransparent"),
+    legend: config.get("exportLegend"),
+    axisLabels: config.get("exportAxisLabels")
+  };
+}
+
+/**
+ * Fills in the placeholders of exportFileName:
+ * {tissueX}, {tissueY}, {tissueZ} (tissues of the axes, PC1 to PC3 in PCA mode), {dataset} (name of the dataset),
+ * {date} (YYYY-MM-DD) and {time} (HH-MM-SS).
+ * @param {string} extension - The file extension, without dot.
+ * @param {string} [suffix=""] - Appended to the name, e.g. to tell apart exports of the same view.
+ */
+export function getFileName(extension, suffix = "") {
+  const now = new Date();
+  const pad = (number) => String(number).padStart(2, "0");
+  const [tissueX, tissueY, tissueZ] = getAxes().map(({ name, tissue }) => tissue ?? name);
+  const values = {
+    tissueX,
+    tissueY,
+    tissueZ,
+    dataset: (dataHandler.source?.name ?? "dataset").replace(/\.[^.]*$/, ""),
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`
+  };
+  const name = config.get("exportFileName").replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+  // characters that are not allowed in file names on common systems
+  return `${(name + suffix).replace(/[\\/:*?"<>|]/g, "_")}.${extension}`;
+}
+
+/**
+ * Returns a function projecting world positions onto an image of the given size, as seen by the active camera.
+ * The projection takes the aspect ratio of the image instead of the one of the canvas.
+ * @returns {function(BABYLON.Vector3): ({x: number, y: number, depth: number, pixelsPerUnit: number}|null)}
+ *   null for positions behind the camera, pixelsPerUnit converts world units at the position into pixels.
+ */
+function createProjection(scene, width, height) {
+  const camera = scene.activeCamera;
+  const view = camera.getViewMatrix();
+  const projection = BABYLON.Matrix.PerspectiveFovLH(camera.fov, width / height, camera.minZ, camera.maxZ);
+  const transform = view.multiply(projection);
+  const viewport = new BABYLON.Viewport(0, 0, width, height);
+  const focalLength = height / (2 * Math.tan(camera.fov / 2));
+
+  return (position) => {
+    const depth = BABYLON.Vector3.TransformCoordinates(position, view).z;
+    if (depth <= camera.minZ) return null;
+    const { x, y } = BABYLON.Vector3.Project(position, BABYLON.Matrix.IdentityReadOnly, transform, viewport);
+    return { x, y, depth, pixelsPerUnit: focalLength / depth };
+  };
+}
+
+/**
+ * Collects the texts and swatches drawn on top of the plot, in pixels of the exported image.
+ * @returns {{texts: Object[], swatches: Object[]}} texts are { x, y, text, color, fontSize, bold, align },
+ *   swatches are { x, y, radius, color }.
+ */
+function getOverlay(scene, options, width, height) {
+  const texts = [];
+  const swatches = [];
+  const textColor = config.get("darkMode") ? "#FFFFFF" : "#000000";
+
+  if (options.axisLabels) {
+    const project = createProjection(scene, width, height);
+    const axisColors = [config.get("xAxisColor"), config.get("yAxisColor"), config.get("zAxisColor")];
+    for (const label of getAxisLabels()) {
+      const point = project(label.position);
+      if (point !== null) {
+        texts.push({
+          x: point.x,
+          y: point.y,
+          text: label.text,
+          color: axisColors[label.axis].slice(0, 7),
+          fontSize: label.fontSize * options.pixelRatio,
+          bold: label.bold,
+          align: "center"
+        });
+      }
+    }
+  }
+
+  if (options.legend) {
+    const families = getPlottedFamilies();
+    const fontSize = 12 * options.pixelRatio;
+    const lineHeight = 1.5 * fontSize;
+    const margin = 10 * options.pixelRatio;
+    const shownFamilies = families.slice(0, maxLegendEntries);
+    shownFamilies.forEach((family, i) => {
+      const y = margin + (i + 0.5) * lineHeight;
+      swatches.push({ x: margin + fontSize / 2, y, radius: fontSize / 2, color: getFamilyColor(family, false) });
+      texts.push({ x: margin + 1.5 * fontSize, y, text: family, color: textColor, fontSize, bold: false, align: "left" });
+    });
+    if (families.length > shownFamilies.length) {
+      texts.push({
+        x: margin,
+        y: margin + (shownFamilies.length + 0.5) * lineHeight,
+        text: `and ${families.length - shownFamilies.length} more families`,
+        color: textColor,
+        fontSize,
+        bold: false,
+        align: "left"
+      });
+    }
+  }
+
+  return { texts, swatches };
+}
+
+/**
+ * Renders the main and the compass scene into a PNG and downloads it.
+ */
+async function exportPng(engine, scene, compassScene) {
+  const options = getExportOptions();
+  const width = Math.round(options.width * options.pixelRatio);
+  const height = Math.round(options.height * options.pixelRatio);
+
+  const imageCanvas = document.createElement("canvas");
+  imageCanvas.width = width;
+  imageCanvas.height = height;
+  const context = imageCanvas.getContext("2d");
+
+  const clearColor = scene.clearColor;
+  if (options.transparent) {
+    scene.clearColor = new BABYLON.Color4(0, 0, 0, 0);
+  }
+  try {
+    for (const s of [scene, compassScene]) {
+      context.drawImage(await captureScene(engine, s, width, height), 0, 0);
+    }
+  } finally {
+    scene.clearColor = clearColor;
+  }
+
+  const { texts, swatches } = getOverlay(scene, options, width, height);
+  for (const { x, y, radius, color } of swatches) {
+    context.fillStyle = color.slice(0, 7);
+    context.beginPath();
+    context.arc(x, y, radius, 0, 2 * Math.PI);
+    context.fill();
+  }
+  context.textBaseline = "middle";
+  for (const { x, y, text, color, fontSize, bold, align } of texts) {
+    context.font = `${bold ? "bold " : ""}${fontSize}px sans-serif`;
+    context.textAlign = align;
+    context.fillStyle = color;
+    context.fillText(text, x, y);
+  }
+
+  const blob = await new Promise((resolve) => imageCanvas.toBlob(resolve, "image/png"));
+  const png = setPngDpi(new Uint8Array(await blob.arrayBuffer()), options.dpi);
+  downloadBlob(new Blob([png], { type: "image/png" }), getFileName("png"));
+}
+
+/**
+ * Renders a single scene into an image of the given size.
+ * While capturing, the render loop only renders this scene.
+ * @returns {Promise<HTMLImageElement>}
+ */
+function captureScene(engine, scene, width, height) {
+  const renderLoop = engine.activeRenderLoops[0];
+  const attached = scene.activeCamera.inputs.attachedToElement;
+  if (attached) {
+    scene.activeCamera.detachControl();
+  }
+
+  return new Promise((resolve) => {
+    const autoClear = scene.autoClear;
+    scene.autoClear = true;
+    engine.stopRenderLoop();
+    engine.runRenderLoop(() => {
+      scene.render();
+    });
+    BABYLON.Tools.CreateScreenshotUsingRenderTarget(engine, scene.activeCamera, { width, height }, (data) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.src = data;
+    });
+    scene.autoClear = autoClear;
+  }).finally(() => {
+    engine.stopRenderLoop();
+    engine.runRenderLoop(renderLoop);
+    if (attached) {
+      scene.activeCamera.attachControl();
+    }
+  });
+}
+
+/**
+ * Inserts a pHYs chunk after the IHDR chunk of a PNG, so image editors know its DPI.
+ * @param {Uint8Array} png - The PNG as created by the canvas, without pHYs chunk.
+ * @param {number} dpi - Pixels per inch.
+ * @returns {Uint8Array}
+ */
+function setPngDpi(png, dpi) {
+  const ihdrEnd = 8 + 4 + 4 + 13 + 4; // signature, length, type, data, CRC
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(4 + 4 + 9 + 4);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([..."pHYs"].map((c) => c.charCodeAt(0)), 4);
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // unit: meter
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, ihdrEnd));
+  result.set(chunk, ihdrEnd);
+  result.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return result;
+}
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Projects the plotted genes with the current camera into an SVG and downloads it.
+ * The genes are drawn from back to front, so nearer genes cover farther ones like in the 3D view.
+ */
+function exportSvg(scene) {
+  const options = getExportOptions();
+  const { width, height } = options;
+  const project = createProjection(scene, width, height);
+
+  const circles = [];
+  const outlierFlags = new Map();
+  for (const { family, index, position } of iterPlottedGenes()) {
+    const point = project(BABYLON.Vector3.FromArray(position));
+    if (point === null) continue;
+    if (!outlierFlags.has(family)) {
+      outlierFlags.set(family, dataHandler.getColumns(family).isOutlier);
+    }
+    const isOutlier = Boolean(outlierFlags.get(family)[index]);
+    const radius = getDataPointDiameter(family, isOutlier) / 2 * point.pixelsPerUnit;
+    if (point.x + radius < 0 || point.x - radius > width || point.y + radius < 0 || point.y - radius > height) continue;
+    circles.push({ ...point, radius, color: getFamilyColor(family, isOutlier), isOutlier });
+  }
+  circles.sort((a, b) => b.depth - a.depth);
+
+  // SVG has no 8 digit hex colors, the alpha channel becomes an opacity
+  const fill = (color) => {
+    const opacity = color.length > 7 ? parseInt(color.slice(7, 9), 16) / 255 : 1;
+    return `fill="${color.slice(0, 7)}"${opacity < 1 ? ` fill-opacity="${opacity.toFixed(3)}"` : ""}`;
+  };
+  const round = (number) => Number(number.toFixed(2));
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+  ];
+  if (!options.transparent) {
+    lines.push(`<rect width="100%" height="100%" ${fill(config.get("backgroundColor"))}/>`);
+  }
+  lines.push("<g>");
+  for (const { x, y, radius, color, isOutlier } of circles) {
+    const outline = isOutlier ? ` stroke="#000000" stroke-width="${round(radius / 5)}"` : "";
+    lines.push(`<circle cx="${round(x)}" cy="${round(y)}" r="${round(radius)}" ${fill(color)}${outline}/>`);
+  }
+  lines.push("</g>");
+
+  const { texts, swatches } = getOverlay(scene, { ...options, pixelRatio: 1 }, width, height);
+  for (const { x, y, radius, color } of swatches) {
+    lines.push(`<circle cx="${round(x)}" cy="${round(y)}" r="${round(radius)}" ${fill(color)}/>`);
+  }
+  for (const { x, y, text, color, fontSize, bold, align } of texts) {
+    const anchor = align === "center" ? "middle" : "start";
+    lines.push(
+      `<text x="${round(x)}" y="${round(y)}" fill="${color}" font-family="sans-serif" font-size="${fontSize}"` +
+      `${bold ? " font-weight=\"bold\"" : ""} text-anchor="${anchor}" dominant-baseline="middle">${escapeXml(text)}</text>`
+    );
+  }
+  lines.push("</svg>");
+
+  downloadBlob(new Blob([lines.join("\n")], { type: "image/svg+xml" }), getFileName("svg"));
+}
+
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Lets the browser download a blob as file.
+ * @param {Blob} blob - The content of the file.
+ * @param {string} fileName - The suggested file name.
+ */
+export function downloadBlob(blob, fileName) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(link.href));
+}
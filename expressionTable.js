@@ -0,0 +1,209 @@
+"use strict";
+
+import { DatasetError } from "./datasetValidator.js";
+
+/**
+ * Importer for gene-by-tissue expression tables (CSV or TSV).
+ *
+ * The first row is a header naming the columns. Three columns are required:
+ * the gene id, the family id and the outlier flag (matched case-insensitively by the names below).
+ * Every other column is a tissue holding one numeric expression value per gene.
+ *
+ *   gene_id,family_id,is_outlier,Liver,Heart,Lung
+ *   GENE1,OG0000103,false,0.12,1.5,0.3
+ *
+ * The result has the per-family structure dataHandler.js works with:
+ * { <family>: { genes: [...], is_outlier: [...], tissues: { <tissue>: [...] }, centroid: { <tissue>: number } } }
+ */
+
+const geneColumnNames = ["gene", "gene_id", "geneid", "id"];
+const familyColumnNames = ["family", "family_id", "familyid"];
+const outlierColumnNames = ["is_outlier", "outlier", "isoutlier"];
+
+const trueFlags = ["true", "1", "yes", "y", "t"];
+const falseFlags = ["false", "0", "no", "n", "f", ""];
+
+// stop collecting problems after this many, a broken file would otherwise produce one per row
+const maxReportedProblems = 50;
+
+/**
+ * Parses an expression table into the per-family dataset structure.
+ * @param {string} text - Content of the CSV/TSV file.
+ * @param {string} [delimiter] - Column delimiter, detected from the header line if omitted.
+ * @returns {Object} The dataset, with the centroid of each family computed per tissue.
+ * @throws {DatasetError} Listing every malformed row with its line number.
+ */
+export function parseExpressionTable(text, delimiter) {
+  const rows = splitRows(text, delimiter ?? detectDelimiter(text));
+  const problems = [];
+  let problemCount = 0;
+  const report = (line, message) => {
+    if (problemCount++ < maxReportedProblems) problems.push(`line ${line}: ${message}`);
+  };
+
+  const header = rows.shift();
+  if (header === undefined) {
+    throw new DatasetError("Expression table is empty");
+  }
+  const columnNames = header.fields.map((name) => name.trim());
+  const findColumn = (candidates) => columnNames.findIndex((name) => candidates.includes(name.toLowerCase()));
+  const geneColumn = findColumn(geneColumnNames);
+  const familyColumn = findColumn(familyColumnNames);
+  const outlierColumn = findColumn(outlierColumnNames);
+
+  for (const [column, description] of [[geneColumn, "gene id"], [familyColumn, "family id"], [outlierColumn, "outlier flag"]]) {
+    if (column === -1) report(header.line, `missing ${description} column`);
+  }
+  const tissueColumns = columnNames
+    .map((name, column) => [name, column])
+    .filter(([, column]) => column !== geneColumn && column !== familyColumn && column !== outlierColumn);
+  if (tissueColumns.length === 0) report(header.line, "no tissue columns");
+  if (problems.length > 0) {
+    throw new DatasetError("Malformed expression table", problems);
+  }
+
+  const data = {};
+  const geneLines = new Map(); // gene id -> line of its first occurrence, to report duplicates
+
+  for (const { line, fields } of rows) {
+    if (fields.length === 1 && fields[0].trim() === "") continue; // blank line
+
+    if (fields.length !== columnNames.length) {
+      report(line, `expected ${columnNames.length} columns, got ${fields.length}`);
+      continue;
+    }
+
+    const gene = fields[geneColumn].trim();
+    const family = fields[familyColumn].trim();
+    let rowIsValid = true;
+
+    if (gene === "") {
+      report(line, "empty gene id");
+      rowIsValid = false;
+    } else if (geneLines.has(gene)) {
+      report(line, `duplicate gene id '${gene}' (first defined in line ${geneLines.get(gene)})`);
+      rowIsValid = false;
+    } else {
+      geneLines.set(gene, line);
+    }
+    if (family === "") {
+      report(line, "empty family id");
+      rowIsValid = false;
+    }
+
+    const flag = fields[outlierColumn].trim().toLowerCase();
+    const isOutlier = trueFlags.includes(flag);
+    if (!isOutlier && !falseFlags.includes(flag)) {
+      report(line, `outlier flag must be true or false, got '${fields[outlierColumn]}'`);
+      rowIsValid = false;
+    }
+
+    const values = tissueColumns.map(([tissue, column]) => {
+      const field = fields[column].trim();
+      const value = Number(field);
+      if (field === "" || !Number.isFinite(value)) {
+        report(line, `non-numeric value '${fields[column]}' for tissue '${tissue}'`);
+        rowIsValid = false;
+      }
+      return value;
+    });
+
+    if (rowIsValid) {
+      data[family] ??= {
+        genes: [],
+        is_outlier: [],
+        tissues: Object.fromEntries(tissueColumns.map(([tissue]) => [tissue, []]))
+      };
+      const familyData = data[family];
+      familyData.genes.push(gene);
+      familyData.is_outlier.push(isOutlier);
+      tissueColumns.forEach(([tissue], i) => familyData.tissues[tissue].push(values[i]));
+    }
+  }
+
+  if (problems.length > 0) {
+    if (problemCount > maxReportedProblems) {
+      problems.push(`(${problemCount - maxReportedProblems} further problems omitted)`);
+    }
+    throw new DatasetError("Malformed expression table", problems);
+  }
+
+  for (const familyData of Object.values(data)) {
+    familyData.centroid = computeCentroid(familyData.tissues);
+  }
+
+  return data;
+}
+
+/**
+ * Computes the mean expression per tissue over all genes of a family.
+ * @param {Object<string, number[]>} tissues - Expression values per tissue.
+ * @returns {Object<string, number>}
+ */
+export function computeCentroid(tissues) {
+  const centroid = {};
+  for (const [tissue, values] of Object.entries(tissues)) {
+    let sum = 0;
+    for (const value of values) sum += value;
+    centroid[tissue] = sum / values.length;
+  }
+  return centroid;
+}
+
+// tabs win over commas, as tissue names or gene ids may contain commas but hardly tabs
+function detectDelimiter(text) {
+  const headerLine = text.split("\n", 1)[0];
+  return headerLine.includes("\t") ? "\t" : ",";
+}
+
+/**
+ * Splits the text into rows of fields, honoring double quoted fields ("a, b" and "say ""hi""").
+ * Quoted fields may span several lines, so each row remembers the line it starts in.
+ * @returns {{line: number, fields: string[]}[]}
+ */
+function splitRows(text, delimiter) {
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      quoted = true;
+      field = "";
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+      fields = [];
+      field = "";
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || fields.length > 0) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+  }
+
+  return rows;
+}
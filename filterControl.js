@@ -0,0 +1,198 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { metaDataOperators } from "./filters.js";
+
+// number of steps of the range sliders between the smallest and largest value of a tissue
+const sliderSteps = 200;
+
+// tissue -> [min, max] over all genes of the current dataset, computed on first use
+const tissueExtents = new Map();
+
+function getTissueExtent(tissue) {
+  if (!tissueExtents.has(tissue)) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const family of dataHandler.families) {
+      const [values] = dataHandler.getColumns(family, tissue).values;
+      for (const value of values ?? []) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    }
+    tissueExtents.set(tissue, min <= max ? [min, max] : [0, 1]);
+  }
+  return tissueExtents.get(tissue);
+}
+
+/**
+ * Creates the control of a filters setting (see filters.js) for the settings panel:
+ * an outlier mode, range sliders per tissue and predicates over metadata fields, each added and removed on demand.
+ * Every change sets the whole filters object, which reloads the chunks.
+ * @param {string} key - The setting.
+ * @returns {{element: HTMLElement, refresh: function(): void, updateOptions: function(): void}}
+ */
+export function createFiltersControl(key) {
+  const element = document.createElement("div");
+  element.className = "setting filters";
+  const name = document.createElement("span");
+  name.textContent = key;
+  const body = document.createElement("div");
+  element.append(name, body);
+
+  let renderedValue = null; // JSON of the filters shown, to rebuild only on changes
+
+  // rendered right away, as the panel does not refresh controls holding the focus
+  const set = (filters) => {
+    config.set(key, filters);
+    render();
+  };
+  const apply = (changes) => set({ ...config.get(key), ...changes });
+
+  function createRemoveButton(onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = "×";
+    button.title = "remove";
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  function createOutlierRow(filters) {
+    const select = document.createElement("select");
+    for (const [value, label] of [["all", "all genes"], ["only", "outliers only"], ["hide", "hide outliers"]]) {
+      select.appendChild(new Option(label, value));
+    }
+    select.value = filters.outliers;
+    select.addEventListener("change", () => apply({ outliers: select.value }));
+    const row = document.createElement("div");
+    row.append("outliers ", select);
+    return row;
+  }
+
+  function createRangeRow(filters, tissue) {
+    const [dataMin, dataMax] = getTissueExtent(tissue);
+    const range = filters.tissues[tissue];
+    const row = document.createElement("div");
+    row.className = "range";
+    const label = document.createElement("span");
+    label.textContent = tissue;
+
+    // open ends are shown at the extent of the data and stored as null
+    const setBound = (bound, value) => {
+      const open = bound === "min" ? value <= dataMin : value >= dataMax;
+      apply({ tissues: { ...config.get(key).tissues, [tissue]: { ...range, [bound]: open ? null : value } } });
+    };
+    const inputs = ["min", "max"].map((bound) => {
+      const slider = document.createElement("input");
+      slider.type = "range";
+      slider.min = dataMin;
+      slider.max = dataMax;
+      slider.step = (dataMax - dataMin) / sliderSteps || 1;
+      slider.value = range[bound] ?? (bound === "min" ? dataMin : dataMax);
+      slider.title = bound;
+      const number = document.createElement("input");
+      number.type = "number";
+      number.step = "any";
+      number.value = range[bound] ?? "";
+      number.placeholder = bound;
+      slider.addEventListener("input", () => { number.value = slider.value; });
+      slider.addEventListener("change", () => setBound(bound, Number(slider.value)));
+      number.addEventListener("change", () => setBound(bound, number.value === "" ? (bound === "min" ? -Infinity : Infinity) : Number(number.value)));
+      return [slider, number];
+    });
+
+    row.append(label, ...inputs.flat(), createRemoveButton(() => {
+      const tissues = { ...config.get(key).tissues };
+      delete tissues[tissue];
+      apply({ tissues });
+    }));
+    return row;
+  }
+
+  function createMetaDataRow(filters, index) {
+    const predicate = filters.metaData[index];
+    const setPredicate = (changes) => {
+      const metaData = [...config.get(key).metaData];
+      metaData[index] = { ...predicate, ...changes };
+      apply({ metaData });
+    };
+
+    const fieldSelect = document.createElement("select");
+    const fields = dataHandler.metaDataFields;
+    if (!fields.includes(predicate.field)) fields.push(predicate.field);
+    fieldSelect.replaceChildren(...fields.map((field) => new Option(field, field)));
+    fieldSelect.value = predicate.field;
+    fieldSelect.addEventListener("change", () => setPredicate({ field: fieldSelect.value }));
+
+    const operatorSelect = document.createElement("select");
+    operatorSelect.replaceChildren(...Object.keys(metaDataOperators).map((operator) => new Option(operator, operator)));
+    operatorSelect.value = predicate.operator;
+    operatorSelect.addEventListener("change", () => setPredicate({ operator: operatorSelect.value }));
+
+    const valueInput = document.createElement("input");
+    valueInput.type = "text";
+    valueInput.value = predicate.value;
+    valueInput.addEventListener("change", () => setPredicate({ value: valueInput.value }));
+
+    const row = document.createElement("div");
+    row.className = "predicate";
+    row.append(fieldSelect, operatorSelect, valueInput, createRemoveButton(() => {
+      apply({ metaData: config.get(key).metaData.filter((_, i) => i !== index) });
+    }));
+    return row;
+  }
+
+  function createAddRow(filters) {
+    const tissueSelect = document.createElement("select");
+    const unusedTissues = dataHandler.tissues.filter((tissue) => filters.tissues[tissue] === undefined);
+    tissueSelect.replaceChildren(...unusedTissues.map((tissue) => new Option(tissue, tissue)));
+    const addRangeButton = document.createElement("button");
+    addRangeButton.type = "button";
+    addRangeButton.textContent = "+ range";
+    addRangeButton.disabled = unusedTissues.length === 0;
+    addRangeButton.addEventListener("click", () => {
+      apply({ tissues: { ...config.get(key).tissues, [tissueSelect.value]: { min: null, max: null } } });
+    });
+
+    const [field] = dataHandler.metaDataFields;
+    const addPredicateButton = document.createElement("button");
+    addPredicateButton.type = "button";
+    addPredicateButton.textContent = "+ metadata";
+    addPredicateButton.disabled = field === undefined;
+    addPredicateButton.addEventListener("click", () => {
+      apply({ metaData: [...config.get(key).metaData, { field, operator: "==", value: "" }] });
+    });
+
+    const clearButton = document.createElement("button");
+    clearButton.type = "button";
+    clearButton.textContent = "clear";
+    clearButton.addEventListener("click", () => set({ tissues: {}, outliers: "all", metaData: [] }));
+
+    const row = document.createElement("div");
+    row.append(tissueSelect, addRangeButton, addPredicateButton, clearButton);
+    return row;
+  }
+
+  function render() {
+    const filters = config.get(key);
+    renderedValue = JSON.stringify(filters);
+    body.replaceChildren(
+      createOutlierRow(filters),
+      ...Object.keys(filters.tissues).map((tissue) => createRangeRow(filters, tissue)),
+      ...filters.metaData.map((_, index) => createMetaDataRow(filters, index)),
+      createAddRow(filters)
+    );
+  }
+
+  return {
+    element,
+    refresh: () => {
+      if (JSON.stringify(config.get(key)) !== renderedValue) render();
+    },
+    updateOptions: () => {
+      tissueExtents.clear();
+      renderedValue = null;
+    }
+  };
+}
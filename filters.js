@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * Gene filters shared by the main thread and chunkWorker.js.
+ * Nothing in here may touch the DOM, BABYLON or config, as it also runs inside the worker.
+ *
+ * Filters are plain objects, as stored in config.get("filters"):
+ * {
+ *   tissues: { <tissue>: { min: number|null, max: number|null } }, // inclusive value ranges, null for open ends
+ *   outliers: "all" | "only" | "hide",
+ *   metaData: [{ field, operator, value }] // all predicates have to hold, see metaDataOperators
+ * }
+ */
+
+/**
+ * Predicates comparing a metadata value of a gene with the value of a filter.
+ * Order comparisons are numeric, equality and "contains" compare the values as text.
+ */
+export const metaDataOperators = {
+  "==": (a, b) => String(a) === String(b),
+  "!=": (a, b) => String(a) !== String(b),
+  "<": (a, b) => Number(a) < Number(b),
+  "<=": (a, b) => Number(a) <= Number(b),
+  ">": (a, b) => Number(a) > Number(b),
+  ">=": (a, b) => Number(a) >= Number(b),
+  "contains": (a, b) => String(a).toLowerCase().includes(String(b).toLowerCase())
+};
+
+/**
+ * Returns the problems of a filters object, empty if it is valid.
+ * @param {*} filters - The value to check.
+ * @returns {string[]}
+ */
+export function validateFilters(filters) {
+  if (typeof filters !== "object" || filters === null) return ["Expecting an object"];
+  const problems = [];
+  const isBound = (v) => v === null || typeof v === "number";
+  if (typeof filters.tissues !== "object" || filters.tissues === null) {
+    problems.push("tissues: expecting an object of tissue ranges");
+  } else {
+    for (const [tissue, range] of Object.entries(filters.tissues)) {
+      if (!isBound(range?.min) || !isBound(range?.max)) {
+        problems.push(`tissues.${tissue}: expecting { min, max } with numbers or null`);
+      }
+    }
+  }
+  if (!["all", "only", "hide"].includes(filters.outliers)) {
+    problems.push(`outliers: expecting "all", "only" or "hide", got ${filters.outliers}`);
+  }
+  if (!(filters.metaData instanceof Array)) {
+    problems.push("metaData: expecting an array of predicates");
+  } else {
+    filters.metaData.forEach((predicate, i) => {
+      if (typeof predicate?.field !== "string" || !(predicate.operator in metaDataOperators)) {
+        problems.push(`metaData[${i}]: expecting { field, operator, value } with one of ${Object.keys(metaDataOperators).join(" ")}`);
+      }
+    });
+  }
+  return problems;
+}
+
+/**
+ * Evaluates the filters for every gene of a family.
+ * @param {Object} filters - The filters, see above.
+ * @param {{isOutlier: ArrayLike<number>, tissues: Object<string, ArrayLike<number>>, metaData: Object<string, Array>}} family
+ *   Columns of the family, metaData holds the extra per-gene arrays of the dataset.
+ *   Ranges of tissues the family has no values for are ignored,
+ *   predicates on fields the family does not have exclude all its genes.
+ * @returns {Uint8Array|null} 1 for every gene passing the filters, null if the filters let every gene pass anyway.
+ */
+export function createFilterMask(filters, { isOutlier, tissues, metaData }) {
+  const ranges = Object.entries(filters.tissues)
+    .filter(([tissue, { min, max }]) => tissues[tissue] !== undefined && (min !== null || max !== null))
+    .map(([tissue, { min, max }]) => [tissues[tissue], min ?? -Infinity, max ?? Infinity]);
+  const predicates = filters.metaData.map(({ field, operator, value }) => [metaData[field], metaDataOperators[operator], value]);
+  if (ranges.length === 0 && predicates.length === 0 && filters.outliers === "all") {
+    return null;
+  }
+
+  const mask = new Uint8Array(isOutlier.length);
+  for (let i = 0; i < mask.length; i++) {
+    if (filters.outliers === "only" && !isOutlier[i]) continue;
+    if (filters.outliers === "hide" && isOutlier[i]) continue;
+    if (!ranges.every(([values, min, max]) => values[i] >= min && values[i] <= max)) continue;
+    if (!predicates.every(([values, predicate, value]) => values !== undefined && predicate(values[i], value))) continue;
+    mask[i] = 1;
+  }
+  return mask;
+}
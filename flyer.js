@@ -1,8 +1,22 @@
 "use strict";
 
-import { plotData } from "./plotData.js";
+import { plotData, getAxes } from "./plotData.js";
+import { getRawValue } from "./axisTransforms.js";
 import { setupCamera } from "./camera.js";
 import { config } from "./config.js";
+import { loadInitialSource, setupDataSourceInput } from "./dataSources.js";
+import { setupSearch } from "./search.js";
+import { setupSettingsPanel } from "./settingsPanel.js";
+import { setupLegend } from "./legend.js";
+import { setupGrid } from "./grid.js";
+import { setupTour } from "./tour.js";
+import { setupRecorder } from "./recorder.js";
+import { setupExporter } from "./exporter.js";
+import { setupGeneExport } from "./geneExport.js";
+import { setupAreaSelection } from "./areaSelection.js";
+import { setupGeneSets } from "./geneSets.js";
+import { setupCentroids } from "./centroids.js";
+import { setupChunkStats } from "./chunkStats.js";
 
 /***************************************************************
  * Function: initializeEngine
@@ -89,7 +103,8 @@ function setBackgroundColor(scene, hexColorCode) {
  * Function: showPositionOverlay
  * Purpose: Creates a GUI overlay that displays the camera's current position.
  * - Updates dynamically as the camera moves.
- * - Position is displayed in the bottom-right corner.
+ * - Position is displayed in the bottom-right corner, in data units as stored in config.get("x") etc. by camera.js.
+ * - Transformed axes show the raw tissue value alongside, as far as the transform can be inverted (see axisTransforms.js).
  * @param {BABYLON.Scene} scene - The Babylon.js scene for GUI integration.
  */
 function showPositionOverlay(scene, xAxis, yAxis, zAxis) {
@@ -127,10 +142,19 @@ function showPositionOverlay(scene, xAxis, yAxis, zAxis) {
 
   // Update the position text dynamically as the camera moves.
   scene.registerBeforeRender(() => {
-    const precision = 2 + Math.floor(Math.log10(config.get("scale")));
-    xPosition.text = `${config.get("tissueX")}: ${config.get("x").toFixed(precision)}`;
-    yPosition.text = `${config.get("tissueY")}: ${config.get("y").toFixed(precision)}`;
-    zPosition.text = `${config.get("tissueZ")}: ${config.get("z").toFixed(precision)}`;
+    const precision = Math.max(0, 2 + Math.floor(Math.log10(config.get("scale"))));
+    const position = [config.get("x"), config.get("y"), config.get("z")];
+    const [xText, yText, zText] = getAxes().map((axis, i) => {
+      const value = position[i];
+      if (axis.explainedVariance !== null) {
+        return `${axis.name} (${(axis.explainedVariance * 100).toFixed(1)} %): ${value.toFixed(precision)}`;
+      }
+      const raw = axis.axisTransform.transform === "none" ? undefined : getRawValue(axis, value);
+      return `${axis.name}: ${value.toFixed(precision)}${raw === undefined ? "" : ` (raw ${raw.toFixed(precision)})`}`;
+    });
+    xPosition.text = xText;
+    yPosition.text = yText;
+    zPosition.text = zText;
   });
 }
 
@@ -227,71 +251,6 @@ function add3DCompass(mainScene, engine) {
   return compassScene;
 }
 
-function captureScenes(engine, ...scenes) {
-  const tempCanvas = document.createElement("canvas");
-  const tempCtx = tempCanvas.getContext("2d");
-  const renderLoop = engine.activeRenderLoops[0];
-
-  const resolution = { width: 1920, height: 1080, precision: 4 };
-  tempCanvas.width = resolution.width * resolution.precision;
-  tempCanvas.height = resolution.height * resolution.precision;
-
-  const attached = scenes.map(s => {
-    if (s.activeCamera.inputs.attachedToElement) {
-      s.activeCamera.detachControl();
-      return true;
-    }
-    return false;
-  });
-
-  function captureScene(scenes, i=0) {
-    const scene = scenes[i]
-    if (scene === undefined) {
-      const finalImage = tempCanvas.toDataURL("image/png");
-      downloadImage(finalImage); // Save merged screenshot
-      engine.stopRenderLoop();
-      engine.runRenderLoop(renderLoop);
-      scenes.forEach((s, i) => {
-        if (attached[i]) {
-          s.activeCamera.attachControl();
-        }
-      });
-    } else {
-      const autoClear = scene.autoClear;
-      if (!autoClear) {
-        scene.autoClear = true;
-      }
-      engine.stopRenderLoop();
-      engine.runRenderLoop(() => {
-          scene.render();
-      });
-      BABYLON.Tools.CreateScreenshotUsingRenderTarget(
-        engine, scene.activeCamera, resolution, (data) => {
-          const img = new Image();
-          img.src = data;
-          img.onload = () => {
-            tempCtx.drawImage(img, 0, 0);
-            captureScene(scenes, i+1);
-          };
-        }
-      );
-      if (!autoClear) {
-        scene.autoClear = false;
-      }
-    }
-  }
-  captureScene(scenes);
-}
-
-function downloadImage(data) {
-  const link = document.createElement("a");
-  link.href = data;
-  link.download = "tox_flyer_screenshot.png";
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-}
-
 /***************************************************************
  * Function: main
  * Purpose: Entry point of the application.
@@ -307,12 +266,26 @@ async function main() {
       configurable: false // Prevents deletion
     });
     const canvas = configureCanvas("view");
+    setupDataSourceInput(canvas);
+    await loadInitialSource();
     const engine = await initializeEngine(canvas);
     const scene = setupScene(engine, canvas);
     console.log(scene)
     const compassScene = add3DCompass(scene, engine);
 
     plotData(scene);
+    setupGrid(scene);
+    setupCentroids(scene);
+    setupChunkStats();
+    setupSearch(scene);
+    setupAreaSelection(scene);
+    setupGeneSets(scene);
+    setupSettingsPanel(canvas);
+    setupLegend();
+    const tour = setupTour(scene);
+    setupRecorder(engine, [scene, compassScene], tour);
+    setupExporter(engine, scene, compassScene);
+    setupGeneExport(scene);
 
     // Run the render loop to continuously update the scene.
     engine.runRenderLoop(() => {
@@ -325,12 +298,6 @@ async function main() {
       engine.resize();
     });
 
-    document.addEventListener("keydown", (evt) => {
-      if (evt.key.toLowerCase() === "enter") {
-        captureScenes(engine, scene, compassScene);
-      }
-    });
-
   } catch (err) {
     // Log any errors during initialization to the console.
     console.log(err);
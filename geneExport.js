@@ -0,0 +1,134 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { iterLoadedGenes, getAxes } from "./plotData.js";
+import { selection } from "./selection.js";
+import { downloadBlob, getFileName } from "./exporter.js";
+
+// Sets of genes that can be exported, each yielding { family, index }.
+const scopes = {
+  selection: {
+    label: "selected genes",
+    *genes() {
+      for (const [family, index] of selection) yield { family, index };
+    }
+  },
+  loaded: {
+    label: "genes in loaded chunks",
+    genes: () => iterLoadedGenes()
+  },
+  shown: {
+    label: "genes of shown families",
+    *genes() {
+      const families = config.get("shownFamilies") ?? dataHandler.families;
+      for (const family of families) {
+        const columns = dataHandler.getColumns(family);
+        for (let index = 0; index < (columns?.genes.length ?? 0); index++) yield { family, index };
+      }
+    }
+  }
+};
+
+/**
+ * Returns the tissues in export order: the tissues of the x, y and z axis first (none in PCA mode), then all others.
+ */
+function getTissueOrder() {
+  const activeTissues = getAxes().map(({ tissue }) => tissue);
+  return [...new Set([...activeTissues, ...dataHandler.tissues])].filter((tissue) => dataHandler.tissues.includes(tissue));
+}
+
+/**
+ * Creates a CSV table in the format read by expressionTable.js, so exported genes can be loaded as dataset again.
+ * @param {Iterable<{family: string, index: number}>} genes - The genes to export.
+ * @returns {string}
+ */
+export function genesToCsv(genes) {
+  const tissues = getTissueOrder();
+  const quote = (field) => /[",\n\r]/.test(field) ? `"${field.replaceAll("\"", "\"\"")}"` : field;
+  const rows = [["gene_id", "family_id", "is_outlier", ...tissues].map(quote).join(",")];
+  for (const { family, index } of genes) {
+    const gene = dataHandler.getGene(family, index);
+    if (gene === undefined) continue;
+    rows.push([gene.id, family, String(gene.isOutlier), ...tissues.map((tissue) => String(gene.values[tissue]))].map(quote).join(","));
+  }
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Creates a JSON array with one object per gene, including its metadata.
+ * @param {Iterable<{family: string, index: number}>} genes - The genes to export.
+ * @returns {string}
+ */
+export function genesToJson(genes) {
+  const tissues = getTissueOrder();
+  const result = [];
+  for (const { family, index } of genes) {
+    const gene = dataHandler.getGene(family, index);
+    if (gene === undefined) continue;
+    result.push({
+      id: gene.id,
+      family,
+      isOutlier: gene.isOutlier,
+      values: Object.fromEntries(tissues.map((tissue) => [tissue, gene.values[tissue]])),
+      metaData: gene.metaData
+    });
+  }
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Copies the ids of the given genes to the clipboard, one per line.
+ * @returns {Promise<number>} The number of copied ids.
+ */
+export async function copyGeneIds(genes) {
+  const ids = [];
+  for (const { family, index } of genes) {
+    const id = dataHandler.getColumns(family)?.genes[index];
+    if (id !== undefined) ids.push(id);
+  }
+  await navigator.clipboard.writeText(ids.join("\n"));
+  return ids.length;
+}
+
+/**
+ * Function: setupGeneExport
+ * Purpose: Get genes found in the viewer out of it.
+ * - The data section of the #export dialog exports the selected genes, the genes in the loaded chunks
+ *   or all genes of the shown families as CSV or JSON, or copies their ids to the clipboard.
+ * - Exports contain gene id, family, outlier flag and the values of the tissues on the axes, followed by all other tissues.
+ * - Ctrl+C (Cmd+C) on the canvas copies the ids of the selected genes.
+ * @param {BABYLON.Scene} scene - The main scene.
+ */
+export function setupGeneExport(scene) {
+  const section = document.querySelector("#export .data");
+  const scopeSelect = section.querySelector("select");
+  const [csvButton, jsonButton, copyButton] = section.querySelectorAll("button");
+  const status = section.querySelector(".status");
+
+  scopeSelect.replaceChildren(...Object.entries(scopes).map(([key, { label }]) => new Option(label, key)));
+  const getGenes = () => scopes[scopeSelect.value].genes(scene);
+
+  csvButton.addEventListener("click", () => {
+    downloadBlob(new Blob([genesToCsv(getGenes())], { type: "text/csv" }), getFileName("csv", `_${scopeSelect.value}`));
+  });
+  jsonButton.addEventListener("click", () => {
+    downloadBlob(new Blob([genesToJson(getGenes())], { type: "application/json" }), getFileName("json", `_${scopeSelect.value}`));
+  });
+
+  const copy = async (genes) => {
+    try {
+      const count = await copyGeneIds(genes);
+      status.textContent = `${count} gene ids copied`;
+    } catch (err) {
+      status.textContent = "copying failed";
+      console.error("Could not copy gene ids:", err);
+    }
+  };
+  copyButton.addEventListener("click", () => copy(getGenes()));
+
+  scene.getEngine().getRenderingCanvas().addEventListener("keydown", (evt) => {
+    if ((evt.ctrlKey || evt.metaKey) && evt.key.toLowerCase() === "c") {
+      copy(scopes.selection.genes());
+    }
+  });
+}
@@ -0,0 +1,226 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { getGenePosition, getDataPointDiameter } from "./plotData.js";
+import { selection } from "./selection.js";
+
+// key of the gene sets in localStorage
+const storageKey = "toxFlyerGeneSets";
+
+// colors given to new sets in turn, semi-transparent to keep the data points visible
+const palette = ["#E6194B99", "#3CB44B99", "#4363D899", "#F5823199", "#911EB499", "#42D4F499", "#F032E699", "#BFEF4599"];
+
+// The highlights are drawn this much larger than the data points they cover, a bit larger than selected data points.
+const highlightScaling = 1.4;
+
+// Set operations, combining the gene keys of two sets.
+const operations = {
+  union: { symbol: "∪", apply: (a, b) => new Set([...a, ...b]) },
+  intersection: { symbol: "∩", apply: (a, b) => new Set([...a].filter((gene) => b.has(gene))) },
+  difference: { symbol: "−", apply: (a, b) => new Set([...a].filter((gene) => !b.has(gene))) }
+};
+
+// family -> Map of gene id -> index, built on first use after each dataset change
+const geneIndices = new Map();
+
+function getGeneIndex(family, id) {
+  if (!geneIndices.has(family)) {
+    const genes = dataHandler.getColumns(family)?.genes ?? [];
+    geneIndices.set(family, new Map(Array.from(genes, (gene, index) => [gene, index])));
+  }
+  return geneIndices.get(family).get(id);
+}
+
+// Genes are stored as [family, gene id], so sets stay valid for other datasets with the same genes.
+// Within set operations they are compared as strings.
+const toKey = ([family, id]) => JSON.stringify([family, id]);
+const fromKey = (key) => JSON.parse(key);
+
+/**
+ * Function: setupGeneSets
+ * Purpose: Keep named gene sets, each highlighted in its own color, and combine them.
+ * - The sets are stored in config.get("geneSets"), so config.asURL shares them,
+ *   and in localStorage, from where they are restored unless the URL brings sets of its own.
+ * - A set is created from the current selection and can be selected again later.
+ * - Union, intersection and difference of two sets create a new set.
+ * - Highlights are rebuilt after every chunk reload from the gene positions, so they survive tissue and scale changes.
+ * @param {BABYLON.Scene} scene - The main scene.
+ */
+export function setupGeneSets(scene) {
+  const panel = document.getElementById("geneSets");
+  const toggleButton = panel.querySelector(".title button");
+  const body = panel.querySelector(".body");
+  const nameInput = body.querySelector(".create input");
+  const createButton = body.querySelector(".create button");
+  const list = body.querySelector("ul");
+  const [firstSelect, operationSelect, secondSelect] = body.querySelectorAll(".combine select");
+  const combineButton = body.querySelector(".combine button");
+
+  let highlights = []; // one mesh per set
+
+  if (config.get("geneSets").length === 0) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(storageKey));
+      if (stored !== null) config.set("geneSets", stored);
+    } catch (err) {
+      console.warn("Could not restore the gene sets from localStorage:", err.message);
+    }
+  }
+
+  function setGeneSets(sets) {
+    config.set("geneSets", sets);
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(sets));
+    } catch (err) {
+      console.warn("Could not store the gene sets in localStorage:", err.message);
+    }
+    render();
+    updateHighlights();
+  }
+
+  function updateSet(index, changes) {
+    const sets = [...config.get("geneSets")];
+    sets[index] = { ...sets[index], ...changes };
+    setGeneSets(sets);
+  }
+
+  function updateHighlights() {
+    for (const mesh of highlights) {
+      mesh.material.dispose();
+      mesh.dispose();
+    }
+    highlights = config.get("geneSets").map((set, i) => createHighlight(scene, set, i));
+  }
+
+  function render() {
+    const sets = config.get("geneSets");
+    list.replaceChildren(...sets.map((set, index) => {
+      const item = document.createElement("li");
+
+      const visibleInput = document.createElement("input");
+      visibleInput.type = "checkbox";
+      visibleInput.checked = set.visible;
+      visibleInput.title = "highlight";
+      visibleInput.addEventListener("change", () => updateSet(index, { visible: visibleInput.checked }));
+
+      const colorInput = document.createElement("input");
+      colorInput.type = "color";
+      colorInput.value = set.color.slice(0, 7).toLowerCase();
+      colorInput.addEventListener("change", () => {
+        updateSet(index, { color: (colorInput.value + set.color.slice(7)).toUpperCase() });
+      });
+
+      const name = document.createElement("span");
+      name.className = "name";
+      name.textContent = set.name;
+      const count = document.createElement("span");
+      count.className = "counts";
+      count.textContent = `${set.genes.length} genes`;
+
+      const selectButton = document.createElement("button");
+      selectButton.type = "button";
+      selectButton.textContent = "select";
+      selectButton.title = "replace the selection with this set";
+      selectButton.addEventListener("click", () => {
+        selection.replace(set.genes
+          .map(([family, id]) => [family, getGeneIndex(family, id)])
+          .filter(([, index]) => index !== undefined));
+      });
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.textContent = "×";
+      removeButton.title = "remove set";
+      removeButton.addEventListener("click", () => {
+        setGeneSets(config.get("geneSets").filter((_, i) => i !== index));
+      });
+
+      item.append(visibleInput, colorInput, name, count, selectButton, removeButton);
+      return item;
+    }));
+
+    for (const select of [firstSelect, secondSelect]) {
+      const value = select.value;
+      select.replaceChildren(...sets.map((set, index) => new Option(set.name, index)));
+      if (value < sets.length) select.value = value;
+    }
+    combineButton.disabled = sets.length === 0;
+  }
+
+  createButton.addEventListener("click", () => {
+    const sets = config.get("geneSets");
+    const genes = [];
+    for (const [family, index] of selection) {
+      genes.push([family, dataHandler.getColumns(family).genes[index]]);
+    }
+    const name = nameInput.value.trim() || `set ${sets.length + 1}`;
+    setGeneSets([...sets, { name, color: palette[sets.length % palette.length], visible: true, genes }]);
+    nameInput.value = "";
+  });
+
+  operationSelect.replaceChildren(...Object.entries(operations).map(([key, { symbol }]) => new Option(`${symbol} ${key}`, key)));
+  combineButton.addEventListener("click", () => {
+    const sets = config.get("geneSets");
+    const first = sets[firstSelect.value];
+    const second = sets[secondSelect.value];
+    const operation = operations[operationSelect.value];
+    const keys = operation.apply(new Set(first.genes.map(toKey)), new Set(second.genes.map(toKey)));
+    setGeneSets([...sets, {
+      name: `${first.name} ${operation.symbol} ${second.name}`,
+      color: palette[sets.length % palette.length],
+      visible: true,
+      genes: [...keys].map(fromKey)
+    }]);
+  });
+
+  toggleButton.addEventListener("click", () => {
+    body.style.display = body.style.display === "block" ? "none" : "block";
+  });
+
+  // chunk reloads replace the gene positions, data reloads the gene indices as well
+  document.addEventListener("chunkReload", (evt) => {
+    if (evt.detail.setting === "data") geneIndices.clear();
+  });
+  document.addEventListener("chunksLoaded", updateHighlights);
+  // the highlights are sized after the data points they cover
+  document.addEventListener("familyRestyled", (evt) => {
+    const { family, setting } = evt.detail;
+    const affected = config.get("geneSets").some((set) => set.visible && set.genes.some(([member]) => member === family));
+    if ((setting === "Diameter" || setting === "OutlierDiameter") && affected) updateHighlights();
+  });
+
+  render();
+  updateHighlights();
+}
+
+/**
+ * Creates a mesh highlighting the plotted genes of a set with thin instances, genes not plotted are left out.
+ */
+function createHighlight(scene, set, index) {
+  const mesh = BABYLON.MeshBuilder.CreateSphere(`geneSet_${index}`, { diameter: 1, segments: 16 }, scene);
+  const material = new BABYLON.StandardMaterial(`geneSet_${index}Mat`, scene);
+  const color = BABYLON.Color4.FromHexString(set.color.length > 7 ? set.color : `${set.color}FF`);
+  material.diffuseColor = new BABYLON.Color3(color.r, color.g, color.b);
+  material.alpha = color.a;
+  mesh.material = material;
+  mesh.isPickable = false;
+
+  const matrices = [];
+  if (set.visible) {
+    for (const [family, id] of set.genes) {
+      const geneIndex = getGeneIndex(family, id);
+      const position = geneIndex === undefined ? undefined : getGenePosition(family, geneIndex);
+      if (position !== undefined) {
+        const isOutlier = Boolean(dataHandler.getColumns(family).isOutlier[geneIndex]);
+        const diameter = getDataPointDiameter(family, isOutlier) * highlightScaling;
+        matrices.push(BABYLON.Matrix.Scaling(diameter, diameter, diameter).setTranslation(position));
+      }
+    }
+  }
+  const buffer = new Float32Array(16 * matrices.length);
+  matrices.forEach((matrix, i) => matrix.copyToArray(buffer, 16 * i));
+  mesh.thinInstanceSetBuffer("matrix", buffer, 16);
+  // an empty buffer would render the mesh itself
+  mesh.isVisible = matrices.length > 0;
+  return mesh;
+}
@@ -0,0 +1,171 @@
+"use strict";
+
+import { getAxes, getPlotExtent } from "./plotData.js";
+
+// the grid aims for about this many lines along its longest axis
+const targetTickCount = 8;
+
+// extent of the grid in world units while no data is plotted
+const emptyExtent = { min: [-50, -50, -50], max: [50, 50, 50] };
+
+// the labels of the current grid, { position, text, axis, fontSize, bold }
+let axisLabelData = [];
+
+/**
+ * Function: setupGrid
+ * Purpose: Creates a labelled 3D grid enclosing the plotted data for improving interpretability.
+ * - The grid spans the extent of the data, its spacing is a round number in data units (1, 2 or 5 times a power of ten).
+ * - The three edges through the lowest corner are drawn in the axis colors and carry the tick labels,
+ *   which show data units, i.e. world units divided by config.get("scale").
+ * - Each axis is labelled with the name of its tissue, or of its principal component with the share of variance it explains.
+ * - Rebuilt whenever the chunks have been recalculated, e.g. after changing scale, tissues or dataset.
+ * @param {BABYLON.Scene} scene - The Babylon.js scene where the grid will be added.
+ */
+export function setupGrid(scene) {
+  // Create a parent node to group all grid lines and labels for easy management.
+  const gridParent = new BABYLON.TransformNode("gridParent", scene);
+  const labelTexture = BABYLON.GUI.AdvancedDynamicTexture.CreateFullscreenUI("axisLabels", true, scene);
+
+  let axisLines = null;
+  let axisLabels = [[], [], []]; // labels per axis, recolored with the axis
+  let axisColors = [];
+
+  function rebuild() {
+    for (const child of gridParent.getChildren()) {
+      child.dispose();
+    }
+    for (const label of axisLabels.flat()) {
+      label.dispose();
+    }
+    axisLabels = [[], [], []];
+    axisLabelData = [];
+
+    const scale = config.get("scale");
+    const extent = getPlotExtent() ?? emptyExtent;
+    const min = extent.min.map((v) => v / scale);
+    const max = extent.max.map((v) => v / scale);
+    const step = getTickStep(Math.max(...max.map((v, i) => v - min[i])));
+
+    // bounds of the grid and positions of the grid lines, in data units
+    const low = min.map((v) => Math.floor(v / step) * step);
+    const high = max.map((v) => Math.max(Math.ceil(v / step) * step, Math.floor(v / step) * step + step));
+    const ticks = low.map((v, i) => {
+      const count = Math.round((high[i] - v) / step);
+      return Array.from({ length: count + 1 }, (_, t) => v + t * step);
+    });
+    const toWorld = (point) => new BABYLON.Vector3(point[0] * scale, point[1] * scale, point[2] * scale);
+
+    // Create grid lines parallel to each axis, all in a single mesh.
+    const lines = [];
+    for (let i = 0; i < 3; i++) {
+      const j = (i + 1) % 3;
+      const k = (i + 2) % 3;
+      for (const a of ticks[j]) {
+        for (const b of ticks[k]) {
+          const start = [];
+          start[i] = low[i];
+          start[j] = a;
+          start[k] = b;
+          const end = [...start];
+          end[i] = high[i];
+          lines.push([toWorld(start), toWorld(end)]);
+        }
+      }
+    }
+    const grid = BABYLON.MeshBuilder.CreateLineSystem("grid", { lines }, scene);
+    grid.color = BABYLON.Color3.Gray();
+    grid.alpha = 0.2;
+    grid.isPickable = false;
+    grid.parent = gridParent;
+
+    // The axes are the edges through the lowest corner of the grid.
+    axisLines = BABYLON.MeshBuilder.CreateLineSystem("axes", {
+      lines: [0, 1, 2].map((i) => {
+        const end = [...low];
+        end[i] = high[i];
+        return [toWorld(low), toWorld(end)];
+      }),
+      colors: [0, 1, 2].map(() => [new BABYLON.Color4(), new BABYLON.Color4()]),
+      updatable: true
+    }, scene);
+    axisLines.isPickable = false;
+    axisLines.parent = gridParent;
+    axisColors = [];
+
+    const digits = Math.max(0, -Math.floor(Math.log10(step)));
+    const axes = getAxes();
+    for (let i = 0; i < 3; i++) {
+      for (const tick of ticks[i]) {
+        const position = [...low];
+        position[i] = tick;
+        axisLabels[i].push(createLabel(toWorld(position), tick.toFixed(digits), i, 12));
+      }
+      const position = [...low];
+      position[i] = high[i] + step / 2;
+      const { name, explainedVariance } = axes[i];
+      const variance = explainedVariance === null ? "" : `, ${(explainedVariance * 100).toFixed(1)} %`;
+      axisLabels[i].push(createLabel(toWorld(position), `${name} (${"xyz"[i]}${variance})`, i, 16, true));
+    }
+  }
+
+  function createLabel(position, text, axis, fontSize, bold = false) {
+    axisLabelData.push({ position, text, axis, fontSize, bold });
+    const anchor = new BABYLON.TransformNode("axisLabelAnchor", scene);
+    anchor.position = position;
+    anchor.parent = gridParent;
+
+    const label = new BABYLON.GUI.TextBlock();
+    label.text = text;
+    label.fontSize = `${fontSize}px`;
+    label.fontWeight = bold ? "bold" : "normal";
+    label.resizeToFit = true;
+    labelTexture.addControl(label);
+    label.linkWithMesh(anchor);
+    return label;
+  }
+
+  // The axis colors can change any time (e.g. dark mode), so they are compared before every frame.
+  scene.registerBeforeRender(() => {
+    const colors = [config.get("xAxisColor"), config.get("yAxisColor"), config.get("zAxisColor")];
+    if (colors.some((color, i) => color !== axisColors[i])) {
+      axisColors = colors;
+      const vertexColors = colors.flatMap((color) => {
+        const rgba = BABYLON.Color4.FromHexString(color).asArray();
+        return [...rgba, ...rgba];
+      });
+      axisLines.setVerticesData(BABYLON.VertexBuffer.ColorKind, vertexColors);
+      colors.forEach((color, i) => {
+        for (const label of axisLabels[i]) {
+          label.color = color.slice(0, 7);
+        }
+      });
+    }
+  });
+
+  document.addEventListener("chunksLoaded", rebuild);
+  rebuild();
+}
+
+/**
+ * Returns a round spacing (1, 2 or 5 times a power of ten) dividing a range into about targetTickCount parts.
+ * @param {number} range - The range to divide.
+ */
+function getTickStep(range) {
+  if (!(range > 0)) return 1;
+  const rawStep = range / targetTickCount;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const normalized = rawStep / magnitude;
+  if (normalized < 1.5) return magnitude;
+  if (normalized < 3.5) return 2 * magnitude;
+  if (normalized < 7.5) return 5 * magnitude;
+  return 10 * magnitude;
+}
+
+/**
+ * Returns the axis labels of the grid, e.g. to draw them into exported images.
+ * @returns {{position: BABYLON.Vector3, text: string, axis: number, fontSize: number, bold: boolean}[]}
+ *   axis is 0, 1 or 2 for x, y and z, fontSize is in CSS pixels.
+ */
+export function getAxisLabels() {
+  return axisLabelData;
+}
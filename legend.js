@@ -0,0 +1,134 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { getFamilyColor, getDataPointDiameter } from "./plotData.js";
+import { createControl } from "./settingsPanel.js";
+
+// settings of a family that can be edited in the legend, with the value shown while unset
+const familySettings = [
+  ["Color", (family) => getFamilyColor(family, false)],
+  ["OutlierColor", (family) => getFamilyColor(family, true)],
+  ["Diameter", (family) => getDataPointDiameter(family, false)],
+  ["OutlierDiameter", (family) => getDataPointDiameter(family, true)]
+];
+
+/**
+ * Function: setupLegend
+ * Purpose: Explain the colors of the plot with a legend of all families.
+ * - Each family is listed with its color swatches (regular and outlier), gene count and outlier count.
+ * - The checkbox of a family toggles it in shownFamilies, hidden families are dimmed.
+ * - The edit button reveals <family>_Color, <family>_OutlierColor, <family>_Diameter and <family>_OutlierDiameter.
+ * - Swatches are updated on every chunkReload, so they follow overrides and the light/dark mode.
+ */
+export function setupLegend() {
+  const panel = document.getElementById("legend");
+  const toggleButton = panel.querySelector("button");
+  const title = panel.querySelector(".title");
+  const list = panel.querySelector("ul");
+
+  let rows = [];
+
+  function build() {
+    rows = dataHandler.families.map(createRow);
+    list.replaceChildren(...rows.map((row) => row.element));
+    refresh();
+  }
+
+  function refresh() {
+    const shownFamilies = config.get("shownFamilies");
+    let shownCount = 0;
+    for (const row of rows) {
+      const shown = shownFamilies === null || shownFamilies.includes(row.family);
+      shownCount += shown;
+      row.refresh(shown);
+    }
+    title.textContent = `Families (${shownCount} of ${rows.length} shown)`;
+  }
+
+  toggleButton.addEventListener("click", () => {
+    list.style.display = list.style.display === "none" ? "block" : "none";
+    toggleButton.textContent = list.style.display === "none" ? "+" : "−";
+  });
+
+  document.addEventListener("chunkReload", (evt) => {
+    if (evt.detail.setting === "data") build();
+    else refresh();
+  });
+  build();
+}
+
+function createRow(family) {
+  const { isOutlier } = dataHandler.getColumns(family);
+  let outlierCount = 0;
+  for (const flag of isOutlier) outlierCount += flag ? 1 : 0;
+
+  const element = document.createElement("li");
+
+  const visibility = document.createElement("input");
+  visibility.type = "checkbox";
+  visibility.title = "show family";
+  visibility.addEventListener("change", () => toggleFamily(family));
+
+  const swatch = document.createElement("span");
+  swatch.className = "swatch";
+  const outlierSwatch = document.createElement("span");
+  outlierSwatch.className = "swatch outlier";
+  outlierSwatch.title = "outliers";
+
+  const name = document.createElement("span");
+  name.className = "name";
+  name.textContent = family;
+  const counts = document.createElement("span");
+  counts.className = "counts";
+  counts.textContent = `${isOutlier.length} genes, ${outlierCount} outliers`;
+
+  const editButton = document.createElement("button");
+  editButton.type = "button";
+  editButton.textContent = "✎";
+  editButton.title = "edit colors and diameters";
+
+  const header = document.createElement("div");
+  header.append(visibility, swatch, outlierSwatch, name, counts, editButton);
+  element.appendChild(header);
+
+  // the controls are only created when needed, as datasets can have thousands of families
+  let controls = null;
+  editButton.addEventListener("click", () => {
+    if (controls === null) {
+      controls = familySettings.map(([suffix, getFallback]) => {
+        const key = `${family}_${suffix}`;
+        return createControl(key, config.getType(key), () => getFallback(family));
+      });
+      const details = document.createElement("div");
+      details.className = "details";
+      details.append(...controls.map((control) => control.element));
+      element.appendChild(details);
+      controls.forEach((control) => control.refresh());
+    } else {
+      element.querySelector(".details").remove();
+      controls = null;
+    }
+  });
+
+  return {
+    family,
+    element,
+    refresh(shown) {
+      visibility.checked = shown;
+      element.classList.toggle("hidden", !shown);
+      swatch.style.background = getFamilyColor(family, false);
+      outlierSwatch.style.background = getFamilyColor(family, true);
+      controls?.forEach((control) => control.refresh());
+    }
+  };
+}
+
+// Adds or removes a family from shownFamilies, which becomes null again once every family is shown.
+function toggleFamily(family) {
+  const shownFamilies = config.get("shownFamilies") ?? dataHandler.families;
+  const newShownFamilies = shownFamilies.includes(family)
+    ? shownFamilies.filter((shownFamily) => shownFamily !== family)
+    : [...shownFamilies, family];
+  const showsAll = dataHandler.families.every((f) => newShownFamilies.includes(f));
+  config.set("shownFamilies", showsAll ? null : newShownFamilies);
+}
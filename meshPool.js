@@ -0,0 +1,118 @@
+"use strict";
+
+// Released meshes kept per kind for reuse, further ones are disposed.
+const maxPooledMeshes = 64;
+
+// Thin instance buffers hold room for at least this many instances, more grow to the next power of two.
+const minCapacity = 64;
+// A buffer is reallocated once it is this many times larger than needed.
+const shrinkFactor = 4;
+
+/**
+ * Function: createMeshPool
+ * Purpose: Hand out meshes for the chunks without building and disposing geometries while flying.
+ * - Each kind of mesh is built once as hidden template, the meshes handed out are clones sharing its geometry.
+ * - All meshes share a single material.
+ * - Released meshes are disabled and kept for the next chunk asking for their kind, up to maxPooledMeshes per kind.
+ * - Each mesh keeps its thin instance buffers, which are overwritten in place as long as the data fits
+ *   and only reallocated to grow or, when far too large, to shrink.
+ * @param {BABYLON.Scene} scene - The main scene.
+ * @param {Object<string, {create: function(BABYLON.Scene): BABYLON.Mesh, prepare?: function(BABYLON.Mesh): void}>} kinds -
+ *   The kinds of meshes: create builds the template, prepare sets up each clone, e.g. its edges rendering.
+ */
+export function createMeshPool(scene, kinds) {
+  const material = new BABYLON.StandardMaterial("chunkMeshMat", scene);
+  const templates = new Map(); // kind -> template mesh, built on first use
+  const pooled = new Map(); // kind -> released meshes
+  const used = new Set();
+  let created = 0;
+
+  function getTemplate(kind) {
+    if (!templates.has(kind)) {
+      const template = kinds[kind].create(scene);
+      template.material = material;
+      template.setEnabled(false);
+      templates.set(kind, template);
+    }
+    return templates.get(kind);
+  }
+
+  return {
+    /**
+     * Returns an enabled mesh of the given kind, a released one if there is any.
+     * @param {string} kind - Key of kinds.
+     * @returns {BABYLON.Mesh}
+     */
+    acquire(kind) {
+      let mesh = pooled.get(kind)?.pop();
+      if (mesh === undefined) {
+        mesh = getTemplate(kind).clone(`${kind}_${created++}`);
+        mesh.TOX_kind = kind;
+        mesh.TOX_buffers = {};
+        kinds[kind].prepare?.(mesh);
+      }
+      mesh.setEnabled(true);
+      used.add(mesh);
+      return mesh;
+    },
+
+    /**
+     * Takes back a mesh handed out by acquire, it must not be used afterwards.
+     * @param {BABYLON.Mesh} mesh
+     */
+    release(mesh) {
+      used.delete(mesh);
+      mesh.setEnabled(false);
+      if (!pooled.has(mesh.TOX_kind)) pooled.set(mesh.TOX_kind, []);
+      const meshes = pooled.get(mesh.TOX_kind);
+      if (meshes.length < maxPooledMeshes) {
+        meshes.push(mesh);
+      } else {
+        mesh.dispose(); // the geometry stays with the template, the material with the pool
+      }
+    },
+
+    /**
+     * Copies thin instance data into the buffer of a mesh.
+     * Writing the matrices also sets the number of instances, which is why they need to be written first.
+     * @param {BABYLON.Mesh} mesh - A mesh handed out by acquire.
+     * @param {"matrix"|"color"} kind - The buffer to write.
+     * @param {Float32Array} data - 16 values per instance for matrices, 4 for colors.
+     */
+    writeBuffer(mesh, kind, data) {
+      const stride = kind === "matrix" ? 16 : 4;
+      const count = data.length / stride;
+      const buffer = mesh.TOX_buffers[kind];
+      if (buffer === undefined || buffer.length < data.length || buffer.length > shrinkFactor * Math.max(data.length, minCapacity * stride)) {
+        const capacity = Math.max(minCapacity, 2 ** Math.ceil(Math.log2(Math.max(1, count))));
+        mesh.TOX_buffers[kind] = new Float32Array(capacity * stride);
+        mesh.TOX_buffers[kind].set(data);
+        mesh.thinInstanceSetBuffer(kind, mesh.TOX_buffers[kind], stride, false);
+      } else {
+        buffer.set(data);
+        mesh.thinInstanceBufferUpdated(kind);
+      }
+
+      if (kind === "matrix") {
+        mesh.thinInstanceCount = count;
+        // without instances, the mesh itself would be rendered
+        mesh.isVisible = count > 0;
+        mesh.thinInstanceRefreshBoundingInfo();
+      }
+    },
+
+    /**
+     * Returns the numbers of meshes in use and kept for reuse, their thin instances and the bytes their buffers take.
+     * @returns {{meshes: number, pooledMeshes: number, instances: number, bufferBytes: number}}
+     */
+    getStats() {
+      const stats = { meshes: used.size, pooledMeshes: 0, instances: 0, bufferBytes: 0 };
+      for (const mesh of used) stats.instances += mesh.thinInstanceCount;
+      for (const meshes of pooled.values()) stats.pooledMeshes += meshes.length;
+      for (const mesh of [...used, ...[...pooled.values()].flat()]) {
+        for (const buffer of Object.values(mesh.TOX_buffers)) stats.bufferBytes += buffer.byteLength;
+      }
+      return stats;
+    }
+  };
+}
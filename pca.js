@@ -0,0 +1,165 @@
+"use strict";
+
+/**
+ * Principal component analysis of the tissue values, shared by the main thread and chunkWorker.js.
+ * Nothing in here may touch the DOM, BABYLON or config, as it also runs inside the worker.
+ *
+ * Every gene is a point with one coordinate per tissue. The values are centered, not scaled,
+ * so tissues keep their weight according to the spread of their values.
+ */
+
+// number of principal components used as coordinates
+const componentCount = 3;
+
+// the Jacobi iteration stops once the off-diagonal entries are this small compared to the whole matrix
+const tolerance = 1e-12;
+const maxSweeps = 100;
+
+/**
+ * Computes the first three principal components over all genes of all families and the scores of every gene.
+ *
+ * Written as generator like calculateChunks, it yields the number of finished steps and returns the result when done.
+ * There are three steps per family: summing the values, summing their products and projecting the genes.
+ *
+ * @param {{name: string, tissues: Object<string, ArrayLike<number>>}[]} families - The families of the dataset.
+ * @param {string[]} tissues - The tissues to include, all families need to have values for them.
+ * @returns {Generator<number, {explainedVariance: number[], components: number[][], means: number[], scores: Map<string, Float32Array[]>}>}
+ *   explainedVariance holds the share of the total variance per component (between 0 and 1),
+ *   components the loadings of every tissue per component and scores the coordinates per family, one column per component.
+ *   With less than three tissues, the remaining components are zero.
+ */
+export function* computePca(families, tissues) {
+  const dimension = tissues.length;
+  let steps = 0;
+
+  const means = new Float64Array(dimension);
+  let count = 0;
+  for (const family of families) {
+    const columns = tissues.map((tissue) => family.tissues[tissue]);
+    columns.forEach((values, t) => {
+      for (let i = 0; i < values.length; i++) means[t] += values[i];
+    });
+    count += columns[0]?.length ?? 0;
+    yield ++steps;
+  }
+  means.forEach((sum, t) => { means[t] = count > 0 ? sum / count : 0; });
+
+  // upper triangle of the covariance matrix, summed per gene
+  const covariance = Array.from({ length: dimension }, () => new Float64Array(dimension));
+  const centered = new Float64Array(dimension);
+  for (const family of families) {
+    const columns = tissues.map((tissue) => family.tissues[tissue]);
+    const geneCount = columns[0]?.length ?? 0;
+    for (let i = 0; i < geneCount; i++) {
+      for (let t = 0; t < dimension; t++) centered[t] = columns[t][i] - means[t];
+      for (let a = 0; a < dimension; a++) {
+        const row = covariance[a];
+        const value = centered[a];
+        for (let b = a; b < dimension; b++) row[b] += value * centered[b];
+      }
+    }
+    yield ++steps;
+  }
+  for (let a = 0; a < dimension; a++) {
+    for (let b = a; b < dimension; b++) {
+      covariance[a][b] /= Math.max(1, count - 1);
+      covariance[b][a] = covariance[a][b];
+    }
+  }
+
+  const { values, vectors } = getEigenDecomposition(covariance);
+  const totalVariance = values.reduce((sum, value) => sum + Math.max(0, value), 0);
+  const components = [];
+  const explainedVariance = [];
+  for (let c = 0; c < componentCount; c++) {
+    const component = vectors[c] ?? new Array(dimension).fill(0);
+    // the sign of an eigenvector is arbitrary, the largest loading is made positive to keep the plot stable
+    const largest = component.reduce((max, loading) => Math.abs(loading) > Math.abs(max) ? loading : max, 0);
+    components.push(largest < 0 ? component.map((loading) => -loading) : component);
+    explainedVariance.push(totalVariance > 0 && values[c] !== undefined ? Math.max(0, values[c]) / totalVariance : 0);
+  }
+
+  const scores = new Map();
+  for (const family of families) {
+    scores.set(family.name, projectOnComponents(components, means, tissues.map((tissue) => family.tissues[tissue])));
+    yield ++steps;
+  }
+
+  return { explainedVariance, components, means: Array.from(means), scores };
+}
+
+/**
+ * Returns the coordinates of genes along the given components.
+ * @param {number[][]} components - Loadings of every tissue per component.
+ * @param {ArrayLike<number>} means - Mean value per tissue, subtracted before projecting.
+ * @param {ArrayLike<number>[]} columns - Values of the genes, one column per tissue in the order of the loadings.
+ * @returns {Float32Array[]} One column per component.
+ */
+export function projectOnComponents(components, means, columns) {
+  const geneCount = columns[0]?.length ?? 0;
+  return components.map((component) => {
+    const scores = new Float32Array(geneCount);
+    component.forEach((loading, t) => {
+      if (loading === 0) return;
+      const values = columns[t];
+      for (let i = 0; i < geneCount; i++) scores[i] += (values[i] - means[t]) * loading;
+    });
+    return scores;
+  });
+}
+
+/**
+ * Eigenvalues and eigenvectors of a symmetric matrix by cyclic Jacobi rotations,
+ * which is exact enough and fast for the few dozen tissues of a dataset.
+ * @param {ArrayLike<number>[]} matrix - The symmetric matrix, left untouched.
+ * @returns {{values: number[], vectors: number[][]}} Sorted by descending eigenvalue.
+ */
+export function getEigenDecomposition(matrix) {
+  const n = matrix.length;
+  const a = Array.from(matrix, (row) => Array.from(row));
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => i === j ? 1 : 0));
+
+  const norm = a.reduce((sum, row) => sum + row.reduce((rowSum, x) => rowSum + x * x, 0), 0);
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal <= tolerance * norm) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (a[p][q] === 0) continue;
+        // rotation zeroing a[p][q], taking the smaller angle
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+  return {
+    values: order.map((i) => a[i][i]),
+    vectors: order.map((i) => v.map((row) => row[i]))
+  };
+}
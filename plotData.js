@@ -1,76 +1,98 @@
 "use strict";
 
 import { handler as dataHandler } from "./dataHandler.js";
-
-/**
- * Function: create3DGrid
- * Purpose: Creates a 3D grid with customizable size and density.
- * - Useful for visualizing spatial boundaries in a 3D plot.
- * @param {BABYLON.Scene} scene - The Babylon.js scene where the grid will be added.
- * @param {number} size - The total size of the grid (length of each axis).
- * @param {number} step - The spacing between grid lines.
- */
-function create3DGrid(scene, size = 100, step = 10) {
-  // Create a parent node to group all grid lines for easy management.
-  const gridParent = new BABYLON.TransformNode("gridParent", scene);
-
-  // Helper function to create a single line.
-  function createLine(start, end, color) {
-    const line = BABYLON.MeshBuilder.CreateLines("line", { points: [start, end] }, scene);
-    const material = new BABYLON.StandardMaterial("lineMat", scene);
-    material.emissiveColor = color; // Use emissive color to make lines bright.
-    material.disableLighting = true; // Lines are unaffected by scene lighting.
-    material.alpha = 0.2;
-    line.material = material;
-    line.parent = gridParent; // Attach the line to the parent node.
+import { getChunkCentroid } from "./chunking.js";
+import { selection } from "./selection.js";
+import { clock } from "./clock.js";
+import { createDensityMesh } from "./density.js";
+import { createMeshPool } from "./meshPool.js";
+
+// The selected data points are drawn this much larger than the data points they cover.
+const selectedDataPointScaling = 1.2;
+
+// Meshes of the chunks per level of detail, see getDetailLevel: segments of the spheres and whether outliers get edges.
+// The last level draws impostors instead, see createImpostorMesh.
+const detailLevels = [{ segments: 16, edges: true }, { segments: 4, edges: false }];
+const impostorLevel = detailLevels.length;
+
+// The meshes of the chunks, one sphere and one octahedron per level of detail and the impostor, see createMeshPool.
+const chunkMeshKinds = {
+  impostor: {
+    create: (scene) => BABYLON.MeshBuilder.CreateSphere("impostor", { diameter: 1, segments: 6 }, scene),
+    prepare: (mesh) => { mesh.isPickable = false; }
   }
-
-  // Create grid lines parallel to each axis.
-  const halfSize = size / 2;
-  const color = BABYLON.Color3.Gray(); // Default color for grid lines.
-
-  // Lines along the X-axis.
-  for (let a = -halfSize; a <= halfSize; a += step) {
-    for (let b = -halfSize; b <= halfSize; b += step) {
-      // along x axis
-      createLine(
-        new BABYLON.Vector3(-halfSize, a, b), // Start point
-        new BABYLON.Vector3(halfSize, a, b),  // End point
-        color
-      );
-      // along y axis
-      createLine(
-        new BABYLON.Vector3(a, -halfSize, b), // Start point
-        new BABYLON.Vector3(a, halfSize, b),  // End point
-        color
-      );
-      // along z axis
-      createLine(
-        new BABYLON.Vector3(a, b, -halfSize), // Start point
-        new BABYLON.Vector3(a, b, halfSize),  // End point
-        color
-      );
+};
+detailLevels.forEach(({ segments, edges }, level) => {
+  chunkMeshKinds[`sphere${level}`] = {
+    create: (scene) => BABYLON.MeshBuilder.CreateSphere(`sphere${level}`, { diameter: 1, segments }, scene)
+  };
+  chunkMeshKinds[`octahedron${level}`] = {
+    create: (scene) => BABYLON.MeshBuilder.CreatePolyhedron(`octahedron${level}`, { type: 2, size: 0.5, flat: false }, scene),
+    prepare: (mesh) => {
+      if (!edges) return;
+      mesh.enableEdgesRendering();
+      mesh.edgesWidth = 3;
+      mesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1); // Black edges
+      mesh.edgesShareWithThinInstances = true;
     }
-  }
+  };
+});
 
-  return gridParent; // Return the parent node containing all grid lines.
-}
+// Hands out the meshes of the chunks, created by plotData.
+let meshPool = null;
+
+// The chunks whose meshes are loaded.
+const loadedChunks = new Set();
+
+// Settings per family that only change the thin instance buffers of its data points instead of reloading the chunks,
+// see restyleFamily: the buffer to rewrite and whether it affects outliers (true), the other genes (false) or both (null).
+const familyStyleSettings = {
+  Color: { buffer: "color", outliers: null }, // outliers fall back to the family color
+  OutlierColor: { buffer: "color", outliers: true },
+  Diameter: { buffer: "matrix", outliers: false },
+  OutlierDiameter: { buffer: "matrix", outliers: true }
+};
+
+// World positions of every gene per plotted family (x, y, z consecutively), as calculated by the latest chunk reload.
+const genePositions = new Map();
+
+// The coordinates of the latest chunk reload, one entry each for x, y and z, see getAxes.
+let plotAxes = null;
+
+// Settings whose change animates the data points to their new positions.
+const transitionSettings = ["tissueX", "tissueY", "tissueZ", "transformX", "transformY", "transformZ", "projection"];
+
+// The running animation of the data points towards genePositions, null if there is none.
+// { familyNames, starts, targets, startTime, duration, progress, touchedChunks },
+// starts and targets hold the positions per family index of familyNames, starts being undefined for families shown anew.
+let transition = null;
 
 /**
- * Plots data points in the scene by instancing a base sphere mesh onto different chunks.
+ * Plots data points in the scene by thin instancing base meshes onto different chunks.
  * 
  * Data points are grouped into "chunks" based on spatial positions determined by a chunk diameter.
- * Chunks that fall outside a defined sight range relative to the config coordinates are disabled,
- * and an update function dynamically loads/unloads chunks as the config position (e.g. camera)
- * changes. A 3D grid is also created for visual reference.
+ * The chunks and their thin instance buffers are computed by chunkWorker.js, so the render loop keeps
+ * running while they are recalculated. Chunks that fall outside a defined sight range relative to
+ * the camera are not loaded. Whenever the camera enters another chunk, the chunks out of range are unloaded
+ * and the new ones queued. Each frame builds at most config.get("chunkBuildBudget") chunks of the queue,
+ * those in the view of the camera first and nearer ones before farther ones, so neither moving nor reloading stalls a frame.
+ *
+ * Chunks further away from the camera are drawn with less detail, see getDetailLevel.
+ * Their meshes come from a pool, so unloading a chunk hands its meshes and buffers on to the next one, see meshPool.js.
+ *
+ * Changing the color or diameter of a family (<family>_Color etc.) only rewrites the affected buffers of the chunks
+ * holding its genes, see restyleFamily, and dispatches familyRestyled with the family and setting (e.g. "Color") as detail,
+ * for other layers drawn in the family style. Other changes dispatching a chunkReload let the worker recalculate all chunks
+ * and dispatch chunksLoaded once it is done.
+ *
+ * With config.get("renderMode") being "density", regular genes are drawn as voxels of a density grid
+ * (see density.js) instead of spheres, while outliers and selected genes keep their meshes.
  *
  * @param {BABYLON.Scene} scene - The BabylonJS scene in which to plot the data.
  */
 function plotData(scene) {
-  // get the initial position
-  const posX = scene.activeCamera.position.x;
-  const posY = scene.activeCamera.position.y;
-  const posZ = scene.activeCamera.position.z;
+  meshPool = createMeshPool(scene, chunkMeshKinds);
+  const chunkWorker = new Worker(new URL("./chunkWorker.js", import.meta.url), { type: "module" });
 
   // Diameter of each chunk in world units.
   let chunkDiameter = config.get("chunkDiameter");
@@ -78,260 +100,586 @@ function plotData(scene) {
   // Range (in number of chunks) around the current chunk that should be loaded.
   let chunkLoadRange = config.get("chunkLoadRange");
 
-  // The maximum distance (in world units) to load/unload chunks.
-  let lastChunkDist = chunkLoadRange * chunkDiameter;
-
   // Each key in this object corresponds to a chunk's centroid in string form.
-  let [ chunks, activeChunks ] = calculateChunks(posX, posY, posZ, chunkDiameter, chunkLoadRange);
+  // Empty until the worker delivered the first result.
+  let chunks = {};
+  let activeChunks = [];
+  // Names of the families drawn by the chunks, resolving the family indices of their refs.
+  let familyNames = [];
 
-  for (const chunk of activeChunks) {
-    loadChunk(scene, chunks[chunk]);
+  // Keys of the active chunks whose meshes are missing or of another level of detail, built by streamChunks.
+  const pendingChunks = new Set();
+
+  // Determine the initial chunk centroid based on the camera position.
+  // This represents the "active" chunk coordinates in which data is loaded.
+  let chunkCentroid = getChunkCentroid(getCameraPosition(scene), chunkDiameter);
+
+  // The latest reload request sent to the worker, results of older requests are stale and discarded.
+  let latestRequest = null;
+  // Whether the worker is still calculating the latest request.
+  let reloading = false;
+
+  // Whether a tissue changed since the last result, so the next result is animated.
+  let pendingTransition = false;
+
+  // The voxels of the density rendering mode and the cells they were built from, null in the points mode.
+  let densityMesh = null;
+  let density = null;
+
+  function updateDensityMesh() {
+    densityMesh?.material.dispose();
+    densityMesh?.dispose();
+    densityMesh = density === null ? null : createDensityMesh(scene, density, latestRequest.densityCellSize);
+  }
+
+  function requestReload() {
+    latestRequest = {
+      requestId: (latestRequest?.requestId ?? 0) + 1,
+      chunkDiameter: config.get("chunkDiameter"),
+      chunkLoadRange: config.get("chunkLoadRange"),
+      densityCellSize: config.get("renderMode") === "density" ? config.get("densityCellSize") : null
+    };
+    const { requestId, chunkDiameter, densityCellSize } = latestRequest;
+    chunkWorker.postMessage(createChunkRequest(requestId, chunkDiameter, densityCellSize));
+    reloading = true;
+    showReloadProgress(0);
+  }
+
+  // Determines the chunks in range of the camera, unloads those no longer in range and queues the others.
+  function updateActiveChunks() {
+    const newActiveChunks = getActiveChunks(chunks, getCameraPosition(scene), chunkDiameter, chunkLoadRange);
+    const stillActive = new Set(newActiveChunks);
+    for (const key of activeChunks) {
+      if (!stillActive.has(key)) {
+        loadChunk(scene, chunks[key], false);
+        pendingChunks.delete(key);
+      }
+    }
+    activeChunks = newActiveChunks;
+    queueDetailLevels();
+  }
+
+  // Queues the active chunks whose level of detail changed, e.g. after the camera entered another chunk.
+  function queueDetailLevels() {
+    for (const key of activeChunks) {
+      const chunk = chunks[key];
+      if (getDetailLevel(chunk.centroid, chunkCentroid, chunkDiameter) !== chunk.level) {
+        pendingChunks.add(key);
+      } else {
+        pendingChunks.delete(key);
+      }
+    }
+  }
+
+  // Builds the queued chunks within the budget of this frame, those in the view of the camera first, then by distance.
+  function streamChunks() {
+    if (pendingChunks.size === 0) return;
+    const frustumPlanes = BABYLON.Frustum.GetPlanes(scene.activeCamera.getTransformationMatrix());
+    const cameraPosition = scene.activeCamera.position;
+    const queue = [...pendingChunks].map((key) => {
+      const { boundingBox } = chunks[key];
+      return {
+        key,
+        visible: boundingBox.isInFrustum(frustumPlanes),
+        distance: BABYLON.Vector3.DistanceSquared(cameraPosition, boundingBox.centerWorld)
+      };
+    });
+    queue.sort((a, b) => (b.visible - a.visible) || (a.distance - b.distance));
+    for (const { key } of queue.slice(0, config.get("chunkBuildBudget"))) {
+      const chunk = chunks[key];
+      loadChunk(scene, chunk, true, getDetailLevel(chunk.centroid, chunkCentroid, chunkDiameter));
+      pendingChunks.delete(key);
+    }
+  }
+
+  /**
+   * Rewrites the colors or diameters of the data points of a family after one of its familyStyleSettings changed,
+   * only in the chunks holding genes of the family and only the buffer the setting affects.
+   * @param {string} family - Name of the family.
+   * @param {string} setting - Key of familyStyleSettings.
+   */
+  function restyleFamily(family, setting) {
+    const f = familyNames.indexOf(family);
+    if (f === -1) return; // not drawn, the next reload picks the setting up
+    const { buffer, outliers } = familyStyleSettings[setting];
+    for (const chunk of Object.values(chunks)) {
+      if (!chunk.memberCounts[family]) continue;
+      [chunk.sphere, chunk.octahedron].forEach((buffers, i) => {
+        const isOutlier = i === 1;
+        if (outliers !== null && outliers !== isOutlier) return;
+        const changed = buffer === "color"
+          ? writeColors(buffers, f, BABYLON.Color4.FromHexString(getFamilyColor(family, isOutlier)).asArray())
+          : writeDiameters(buffers, f, getDataPointDiameter(family, isOutlier));
+        const mesh = chunk.meshes[i];
+        if (changed && mesh !== null) {
+          meshPool.writeBuffer(mesh, buffer, buffer === "color" ? buffers.colors : buffers.matrices);
+        }
+      });
+      // impostors are derived from the buffers
+      if (chunk.level === impostorLevel) loadChunk(scene, chunk, true, impostorLevel);
+    }
+    if (buffer === "matrix") updateSelectedPoints(scene);
+    document.dispatchEvent(new CustomEvent("familyRestyled", { detail: { family, setting } }));
+  }
+
+  chunkWorker.addEventListener("message", (evt) => {
+    const message = evt.data;
+    if (message.requestId !== latestRequest.requestId) {
+      return; // superseded by a newer reload
+    }
+    if (message.type === "progress") {
+      showReloadProgress(message.done / message.total);
+    } else if (message.type === "chunks") {
+      reloading = false;
+      // a running transition is cancelled and the new one starts where the data points are right now
+      const startPositions = pendingTransition && config.get("tissueTransitionDuration") > 0
+        ? getDisplayedPositions()
+        : null;
+      pendingTransition = false;
+      transition = null;
+      clearChunks(scene, chunks, activeChunks);
+      activeChunks = [];
+      pendingChunks.clear();
+
+      ({ chunkDiameter, chunkLoadRange } = latestRequest);
+      // in the density mode, the voxels take the place of the spheres
+      const drawSpheres = message.density === null;
+      familyNames = message.familyNames;
+      chunks = Object.fromEntries(message.chunks.map((chunk) => {
+        return [chunk.key, {
+          ...chunk,
+          familyNames,
+          meshes: [null, null, null],
+          drawSpheres,
+          level: null,
+          boundingBox: getChunkBoundingBox(chunk.centroid, chunkDiameter)
+        }];
+      }));
+      density = message.density;
+      updateDensityMesh();
+      genePositions.clear();
+      message.familyNames.forEach((family, f) => genePositions.set(family, message.positions[f]));
+      plotAxes = message.axes;
+      if (startPositions?.size > 0) {
+        startTransition(message.familyNames, message.positions, startPositions);
+      }
+      chunkCentroid = getChunkCentroid(getCameraPosition(scene), chunkDiameter);
+      updateActiveChunks();
+      updateSelectedPoints(scene);
+
+      showReloadProgress(null);
+      document.dispatchEvent(new CustomEvent("chunksLoaded"));
+    } else if (message.type === "error") {
+      failReload(message.message);
+    }
+  });
+  chunkWorker.addEventListener("error", (err) => failReload(err.message));
+
+  // Keeps the previous chunks after a failed calculation. chunksLoaded is dispatched anyway, so nothing waits for it forever.
+  function failReload(message) {
+    console.error("Chunk calculation failed:", message);
+    reloading = false;
+    pendingTransition = false;
+    showReloadProgress(null);
+    document.dispatchEvent(new CustomEvent("chunksLoaded"));
   }
 
   document.addEventListener("chunkReload", (evt) => {
-    [chunks, activeChunks, chunkDiameter, chunkLoadRange] = reloadChunks(scene, chunks, activeChunks);
-    lastChunkDist = chunkLoadRange * chunkDiameter;
-  })
+    const { setting } = evt.detail;
+    const [, family, styleSetting] = setting.match(/^(.+)_([A-Za-z]+)$/) ?? [];
+    if (setting === "data") {
+      sendDataToWorker(chunkWorker);
+      pendingTransition = false; // the genes of the old dataset are unrelated
+    } else if (transitionSettings.includes(setting)) {
+      pendingTransition = true;
+    } else if (styleSetting in familyStyleSettings && !reloading) {
+      // while reloading, the running request still has the previous value, so it is repeated instead
+      restyleFamily(family, styleSetting);
+      return;
+    }
+    requestReload();
+  });
+  sendDataToWorker(chunkWorker);
+  requestReload();
 
-  // Determine the initial chunk centroid based on the config position.
-  // This represents the "active" chunk coordinates in which data is loaded.
-  let chunkCentroid = getChunkCentroid([posX, posY, posZ], chunkDiameter);
+  config.setSetterCallback("lodLowPolyDistance", queueDetailLevels);
+  config.setSetterCallback("lodImpostorDistance", queueDetailLevels);
 
-  // Temporary array used to compute the centroid for chunks that need updating.
-  // This array is reused within the render loop for efficiency.
-  const triggeredChunkCentroid = [0, 0, 0];
+  config.setSetterCallback("densityOpacity", () => {
+    if (density !== null) updateDensityMesh();
+  });
+  document.addEventListener("selectionChange", () => updateSelectedPoints(scene));
+  setupPointerInteraction(scene);
 
   /**
    * Register a callback that fires before every render.
-   * This callback compares the current chunk centroid (from config)
-   * with the previous one and determines which neighboring chunks need to be loaded/unloaded.
+   * It advances a running transition, updates the active chunks once the camera entered another chunk
+   * and builds the queued chunks within the budget of the frame.
    */
   scene.registerBeforeRender(() => {
-    // Get the current chunk centroid from the config position.
-    const currentChunkCentroid = getChunkCentroid(
-      [ scene.activeCamera.position.x, scene.activeCamera.position.y, scene.activeCamera.position.z ],
-      chunkDiameter
-    );
-
-    // Loop through each axis (x, y, z) and detect any change in the chunk centroid.
-    // If a change is detected along an axis, adjust chunks along that axis.
-    chunkCentroid.forEach((axis, i) => {
-      const currentAxis = currentChunkCentroid[i];
-      // Only proceed if the coordinate along this axis has changed.
-      if (currentAxis !== axis) {
-
-        // Determine the direction of movement on the changed axis.
-        // If currentAxis > axis then we are moving positively (direction = 1) else negatively (direction = -1).
-        const direction = currentAxis > axis ? 1 : -1;
-
-        // Loop over all possible offsets on the remaining two axes (j and k)
-        // covering the range from -lastChunkDist to lastChunkDist (in steps of chunkDiameter).
-        for (let aAxis = -lastChunkDist; aAxis <= lastChunkDist; aAxis += chunkDiameter) {
-          // Calculate the index for the first non-changing axis.
-          const j = (i + 1) % 3;
-          triggeredChunkCentroid[j] = chunkCentroid[j] + aAxis;
-          for (let bAxis = -lastChunkDist; bAxis <= lastChunkDist; bAxis += chunkDiameter) {
-            // Calculate the index for the second non-changing axis.
-            const k = (i + 2) % 3;
-            triggeredChunkCentroid[k] = chunkCentroid[k] + bAxis;
-
-            // For the changing axis, first compute the position for the chunk that should be loaded,
-            // i.e. the new chunk in range along this axis.
-            triggeredChunkCentroid[i] = currentAxis + direction * lastChunkDist;
-            // Call loadChunk with a flag "true" to enable the chunk.
-            loadChunk(scene, chunks[triggeredChunkCentroid], true);
-            activeChunks.push(triggeredChunkCentroid.toString());
-
-            // Next, compute the position for the chunk that should be disabled,
-            // i.e. the chunk that is no longer within range, so on the complementary side.
-            triggeredChunkCentroid[i] = axis - direction * lastChunkDist;
-            // Call loadChunk with the flag "false" to disable the chunk.
-            loadChunk(scene, chunks[triggeredChunkCentroid], false);
-            const chunkIndex = activeChunks.indexOf(triggeredChunkCentroid.toString());
-            if (chunkIndex !== -1) {
-              activeChunks.splice(chunkIndex, 1);
-            }
-          }
-        }
-      }
-    });
-    // Update the chunkCentroid to the current value for use in the next frame.
-    chunkCentroid = currentChunkCentroid;
+    if (transition !== null) {
+      advanceTransition(scene, chunks, activeChunks);
+    }
+
+    const currentChunkCentroid = getChunkCentroid(getCameraPosition(scene), chunkDiameter);
+    if (currentChunkCentroid.some((axis, i) => axis !== chunkCentroid[i])) {
+      chunkCentroid = currentChunkCentroid;
+      updateActiveChunks();
+    }
+    streamChunks();
   });
+}
 
-  // Create a 3D grid in the scene for improving interpretability.
-  create3DGrid(scene);
+/**
+ * Function: startTransition
+ * Purpose: Animate the data points from their previous positions to the ones of a new chunk reload.
+ * - Every thin instance is moved on its own, so genes crossing chunk boundaries are drawn by their new chunk from the start.
+ * - Genes without previous position (e.g. of families shown anew) appear at their new position right away.
+ * - Chunks loaded during the animation are moved as well, from the next frame on.
+ * @param {string[]} familyNames - Names of the plotted families, as delivered by the worker.
+ * @param {Float32Array[]} targets - The new positions per family index.
+ * @param {Map<string, Float32Array>} startPositions - The previous positions per family name.
+ */
+function startTransition(familyNames, targets, startPositions) {
+  const easing = new BABYLON.CubicEase();
+  easing.setEasingMode(BABYLON.EasingFunction.EASINGMODE_EASEINOUT);
+  transition = {
+    familyNames,
+    starts: familyNames.map((family) => startPositions.get(family)),
+    targets,
+    startTime: clock.now(),
+    duration: config.get("tissueTransitionDuration"),
+    easing,
+    progress: 0,
+    touchedChunks: new Set()
+  };
 }
 
-function reloadChunks(scene, chunks, activeChunks) {
-  clearChunks(scene, chunks, activeChunks);
-  const chunkDiameter = config.get("chunkDiameter");
-  const chunkLoadRange = config.get("chunkLoadRange");
-  const [newChunks, newActiveChunks] = calculateChunks(
-    scene.activeCamera.position.x,
-    scene.activeCamera.position.y,
-    scene.activeCamera.position.z,
-    chunkDiameter,
-    chunkLoadRange
-  );
-  for (const chunk of newActiveChunks) {
-    loadChunk(scene, newChunks[chunk]);
+/**
+ * Moves the data points of all loaded chunks and the selected data points to the current state of the transition.
+ * Once it is complete, the buffers of every chunk touched on the way are reset to the final positions.
+ */
+function advanceTransition(scene, chunks, activeChunks) {
+  const time = Math.min(1, (clock.now() - transition.startTime) / transition.duration);
+  transition.progress = transition.easing.ease(time);
+
+  for (const key of activeChunks) {
+    const chunk = chunks[key];
+    if (chunk !== undefined) {
+      transition.touchedChunks.add(chunk);
+    }
+  }
+  const finished = time === 1;
+  for (const chunk of transition.touchedChunks) {
+    // chunks that are no longer loaded only need to be reset at the end
+    if (!finished && chunk.meshes.every((mesh) => mesh === null)) continue;
+    [chunk.sphere, chunk.octahedron].forEach((buffers, i) => {
+      interpolateInstances(buffers, transition.progress);
+      const mesh = chunk.meshes[i];
+      if (mesh !== null) {
+        meshPool.writeBuffer(mesh, "matrix", buffers.matrices);
+      }
+    });
+  }
+
+  const meshSelectedPoints = scene.getMeshByName("meshSelectedPoints");
+  for (const instance of meshSelectedPoints.instances) {
+    const { family, index } = instance.TOX_gene;
+    instance.position = getDisplayedPosition(family, index) ?? instance.position;
+  }
+
+  if (finished) {
+    transition = null;
   }
-  return [newChunks, newActiveChunks, chunkDiameter, chunkLoadRange];
 }
 
-function clearChunks(scene, chunks, activeChunks) {
-  for (const chunk of activeChunks) {
-    loadChunk(scene, chunks[chunk], false);
+// Writes the interpolated positions into the translation of every thin instance matrix.
+function interpolateInstances({ matrices, refs }, progress) {
+  const { starts, targets } = transition;
+  for (let i = 0; i < refs.length / 2; i++) {
+    const f = refs[2 * i];
+    const gene = 3 * refs[2 * i + 1];
+    // genes that were filtered out before appear at their new position right away
+    const start = starts[f] === undefined || Number.isNaN(starts[f][gene]) ? targets[f] : starts[f];
+    for (let axis = 0; axis < 3; axis++) {
+      const from = start[gene + axis];
+      matrices[16 * i + 12 + axis] = from + (targets[f][gene + axis] - from) * progress;
+    }
   }
 }
 
-function calculateChunks(posX, posY, posZ, chunkDiameter, chunkLoadRange) {
-  // Each key in this object corresponds to a chunk's centroid in string form.
-  const chunks = {};
+/**
+ * Returns the position at which a gene is drawn right now, which differs from getGenePosition during a transition.
+ * @returns {BABYLON.Vector3|undefined} The position, undefined if the family is not plotted.
+ */
+function getDisplayedPosition(family, index) {
+  const target = getGenePosition(family, index);
+  if (transition === null || target === undefined) return target;
+  const start = transition.starts[transition.familyNames.indexOf(family)];
+  if (start === undefined || Number.isNaN(start[3 * index])) return target;
+  return BABYLON.Vector3.Lerp(BABYLON.Vector3.FromArray(start, 3 * index), target, transition.progress);
+}
 
-  // Define the "sight" range: the distance threshold (in world units) used to decide whether a chunk is visible.
-  // The value includes an extra 0.5 chunk diameter margin.
-  const sight = (chunkLoadRange + 0.5) * chunkDiameter;
+// Returns the positions at which all genes are drawn right now, per family name.
+function getDisplayedPositions() {
+  if (transition === null) {
+    return new Map(genePositions);
+  }
+  const { familyNames, starts, targets, progress } = transition;
+  return new Map(familyNames.map((family, f) => {
+    const start = starts[f] ?? targets[f];
+    return [family, targets[f].map((target, i) => start[i] + (target - start[i]) * progress)];
+  }));
+}
 
-  const activeChunks = [];
+function getCameraPosition(scene) {
+  const position = scene.activeCamera.position;
+  return [position.x, position.y, position.z];
+}
 
-  const tissueX = config.get("tissueX");
-  const tissueY = config.get("tissueY");
-  const tissueZ = config.get("tissueZ");
+/**
+ * Sends the columns of every family of the current dataset to the worker.
+ * Typed arrays, as loaded from binary datasets, are passed on as they are, so only the single copy made by postMessage exists.
+ * Plain arrays are converted into typed arrays, whose buffers are transferred instead of copied once more.
+ * The dataset of the dataHandler stays untouched.
+ */
+function sendDataToWorker(chunkWorker) {
+  const tissues = dataHandler.tissues;
+  const transfer = [];
+  const asTypedArray = (values, TypedArray) => {
+    if (ArrayBuffer.isView(values)) return values;
+    const converted = TypedArray.from(values, Number); // outlier flags become 0 or 1
+    transfer.push(converted.buffer);
+    return converted;
+  };
+  const families = dataHandler.families.map((name) => {
+    const { isOutlier, values } = dataHandler.getColumns(name, ...tissues);
+    return {
+      name,
+      isOutlier: asTypedArray(isOutlier, Uint8Array),
+      tissues: Object.fromEntries(tissues.map((tissue, i) => [tissue, asTypedArray(values[i], Float32Array)])),
+      metaData: dataHandler.getMetaDataColumns(name)
+    };
+  });
+  chunkWorker.postMessage({ type: "data", families }, transfer);
+}
 
-  const scale = config.get("scale");
+/**
+ * Collects everything the worker needs from config to calculate the chunks.
+ * Colors and diameters are resolved here, so the worker does not need to know about config.
+ */
+function createChunkRequest(requestId, chunkDiameter, densityCellSize) {
   const familiesToShow = config.get("shownFamilies") ?? dataHandler.families;
+  return {
+    type: "calculate",
+    requestId,
+    projection: config.get("projection"),
+    tissues: [config.get("tissueX"), config.get("tissueY"), config.get("tissueZ")],
+    axisTransforms: [config.get("transformX"), config.get("transformY"), config.get("transformZ")],
+    scale: config.get("scale"),
+    chunkDiameter,
+    filters: config.get("filters"),
+    densityCellSize,
+    families: familiesToShow.map((family) => {
+      return {
+        name: family,
+        color: BABYLON.Color4.FromHexString(getFamilyColor(family, false)).asArray(),
+        outlierColor: BABYLON.Color4.FromHexString(getFamilyColor(family, true)).asArray(),
+        diameter: getDataPointDiameter(family, false),
+        outlierDiameter: getDataPointDiameter(family, true)
+      };
+    })
+  };
+}
 
-  // Loop through each family available in the data handler.
-  // For each family, iterate through the genes for specific tissues
-  // and create an instance of the outlier mesh for each data point.
-  for (const family of familiesToShow) {
-    for (const { coordinates, ...metaData } of dataHandler.iterGenes(family, tissueX, tissueY, tissueZ)) {
-      const scaled = coordinates.map((v) => v*scale);
-
-      // Determine the centroid of the chunk this position falls into.
-      // getChunkCentroid is assumed to return an array-like coordinate (e.g. [x, y, z])
-      // which is also used as a key in the `chunks` object.
-      const chunk = getChunkCentroid(scaled, chunkDiameter);
-
-      if (chunks[chunk] === undefined) {
-        chunks[chunk] = [[], {}, 0, null, null];
-        if (
-          Math.abs(chunk[0] - posX) < sight &&
-          Math.abs(chunk[1] - posY) < sight &&
-          Math.abs(chunk[2] - posZ) < sight
-        ) {
-          activeChunks.push(chunk.toString());
-        }
-      }
-      chunks[chunk][0].push({ coordinates: scaled, ...metaData });
-      chunks[chunk][1][family] ??= 0;
-      chunks[chunk][1][family]++;
-      chunks[chunk][2] += metaData.is_outlier;
-    }
-  }
+/**
+ * Returns the color of the data points of a family as hex color code.
+ * <family>_Color overrides the color derived from the family name,
+ * <family>_OutlierColor overrides the color of outliers, which otherwise is the family color.
+ */
+function getFamilyColor(family, isOutlier) {
+  const familyColor = config.get(`${family}_Color`) ?? dataHandler.getColor(family);
+  return isOutlier ? config.get(`${family}_OutlierColor`) ?? familyColor : familyColor;
+}
 
-  return [ chunks, activeChunks ]
+function getDataPointDiameter(family, isOutlier) {
+  return config.get(isOutlier ? `${family}_OutlierDiameter` : `${family}_Diameter`) ?? 0.25;
 }
 
-function getChunkCentroid([ x, y, z ], diameter) {
-  function trim(a) {
-    return Math.floor((a + diameter / 2) / diameter) * diameter;
+// Shows the progress (between 0 and 1) of the running chunk reload, null hides the indicator.
+function showReloadProgress(progress) {
+  const indicator = document.getElementById("chunkProgress");
+  if (progress === null) {
+    indicator.style.display = "none";
+  } else {
+    indicator.style.display = "block";
+    indicator.querySelector("progress").value = progress;
   }
-  return [trim(x), trim(y), trim(z)];
 }
 
-function loadChunk(scene, chunkData, state=true) {
-  if (chunkData) {
-    if (state) {
-      const [dataPoints, memberCounts, outlierCount, ...meshes] = chunkData;
+function clearChunks(scene, chunks, activeChunks) {
+  for (const chunk of activeChunks) {
+    loadChunk(scene, chunks[chunk], false);
+  }
+}
+
+// Returns the box a chunk covers, for testing whether it is in the view of the camera.
+function getChunkBoundingBox(centroid, chunkDiameter) {
+  const center = BABYLON.Vector3.FromArray(centroid);
+  const half = new BABYLON.Vector3(chunkDiameter / 2, chunkDiameter / 2, chunkDiameter / 2);
+  return new BABYLON.BoundingBox(center.subtract(half), center.add(half));
+}
+
+/**
+ * Returns the keys of all chunks within the sight range around a position.
+ * The sight range includes an extra 0.5 chunk diameter margin.
+ */
+function getActiveChunks(chunks, [posX, posY, posZ], chunkDiameter, chunkLoadRange) {
+  const sight = (chunkLoadRange + 0.5) * chunkDiameter;
+  return Object.keys(chunks).filter((key) => {
+    const [x, y, z] = chunks[key].centroid;
+    return Math.abs(x - posX) < sight && Math.abs(y - posY) < sight && Math.abs(z - posZ) < sight;
+  });
+}
 
-      for (const mesh of meshes) {
-        mesh?.dispose();
+/**
+ * Returns the level of detail of a chunk by its distance from the chunk of the camera, counted in chunks along the furthest axis:
+ * 0 (full meshes) nearby, 1 (low-poly meshes) from config.get("lodLowPolyDistance")
+ * and impostorLevel (one impostor per family) from config.get("lodImpostorDistance") on.
+ * @param {number[]} centroid - Centroid of the chunk.
+ * @param {number[]} cameraChunkCentroid - Centroid of the chunk the camera is in.
+ * @param {number} chunkDiameter - Diameter of each chunk in world units.
+ */
+function getDetailLevel(centroid, cameraChunkCentroid, chunkDiameter) {
+  const distance = Math.round(Math.max(...centroid.map((v, i) => Math.abs(v - cameraChunkCentroid[i]))) / chunkDiameter);
+  if (distance >= config.get("lodImpostorDistance")) return impostorLevel;
+  if (distance >= config.get("lodLowPolyDistance")) return 1;
+  return 0;
+}
+
+/**
+ * Loads (state = true) or unloads (state = false) the meshes of a chunk, taking them from and returning them to meshPool.
+ * The thin instance buffers have been filled by the worker, so loading only copies them.
+ * @param {number} [level=0] - The level of detail, see getDetailLevel.
+ */
+function loadChunk(scene, chunkData, state=true, level=0) {
+  if (chunkData) {
+    const { sphere, octahedron, familyNames, meshes, drawSpheres } = chunkData;
+    for (let i = 0; i < meshes.length; i++) {
+      if (meshes[i] !== null) {
+        meshes[i].TOX_refs = undefined; // pooled meshes must not be taken for genes
+        meshPool.release(meshes[i]);
+        meshes[i] = null;
       }
+    }
+    chunkData.level = state ? level : null;
+    if (state) {
+      loadedChunks.add(chunkData);
+    } else {
+      loadedChunks.delete(chunkData);
+    }
 
+    if (state && level === impostorLevel) {
+      meshes[2] = createImpostorMesh(chunkData);
+    } else if (state) {
       // data points -- spheres
-      const sphereDimensionsBuffer = new Float32Array(16 * (dataPoints.length - outlierCount)); // the translation buffer for one position takes 16 entries (it is a 4x4 rotation matrix)
-      const sphereColorBuffer = new Float32Array(4 * (dataPoints.length - outlierCount)); // rgba
-      if (sphereColorBuffer.length > 0) { // false if all members are outliers
-        chunkData[3] = BABYLON.MeshBuilder.CreateSphere(name, { diameter: 1, segments: 16 }, scene);
+      if (drawSpheres && sphere.colors.length > 0) { // false if all members are outliers or in the density mode
+        meshes[0] = meshPool.acquire(`sphere${level}`);
+        meshPool.writeBuffer(meshes[0], "matrix", sphere.matrices);
+        meshPool.writeBuffer(meshes[0], "color", sphere.colors);
+        enableGenePicking(meshes[0], sphere.refs, familyNames);
       }
 
       // outliers -- octahedrons
-      const octDimensionsBuffer = new Float32Array(16 * outlierCount); // the translation buffer for one position takes 16 entries (it is a 4x4 rotation matrix)
-      const octColorBuffer = new Float32Array(4 * outlierCount); // rgba
-      if (outlierCount > 0) {
-        chunkData[4] = BABYLON.MeshBuilder.CreatePolyhedron(name, { type: 2, size: 0.5, flat: false }, scene);
-        chunkData[4].enableEdgesRendering();
-        chunkData[4].edgesWidth = 3;
-        chunkData[4].edgesColor = new BABYLON.Color4(0, 0, 0, 1); // Black edges
-        chunkData[4].edgesShareWithThinInstances = true;
+      if (octahedron.colors.length > 0) {
+        meshes[1] = meshPool.acquire(`octahedron${level}`);
+        meshPool.writeBuffer(meshes[1], "matrix", octahedron.matrices);
+        meshPool.writeBuffer(meshes[1], "color", octahedron.colors);
+        enableGenePicking(meshes[1], octahedron.refs, familyNames);
       }
+    }
+  }
+}
 
-      let familyIndex = 0;
-      let outlierIndex = 0;
-      Object.entries(memberCounts).forEach(([family, chunkMemberCount]) => {
-        const familyColor = BABYLON.Color4.FromHexString(config.get(`${family}_Color`) ?? dataHandler.getColor(family));
-        const outlierColorHex = config.get(`${family}_OutlierColor`);
-        const outlierColor = outlierColorHex === undefined ? familyColor : BABYLON.Color4.FromHexString(outlierColorHex);
-        for (let i = 0; i < chunkMemberCount; i++) {
-          const index = familyIndex + i;
-          const pointData = dataPoints[index]
-          if (pointData.is_outlier) {
-            const diameter = config.get(`${family}_OutlierDiameter`) ?? 0.25;
-            fillThinInstanceBuffers(
-              octDimensionsBuffer, outlierIndex * 16,
-              octColorBuffer, outlierIndex * 4,
-              diameter,
-              pointData.coordinates,
-              outlierColor
-            );
-            outlierIndex++;
-          } else {
-            const diameter = config.get(`${family}_Diameter`) ?? 0.25;
-            fillThinInstanceBuffers(
-              sphereDimensionsBuffer, (index - outlierIndex) * 16,
-              sphereColorBuffer, (index - outlierIndex) * 4,
-              diameter,
-              pointData.coordinates,
-              familyColor
-            );
-          }
-        }
-        familyIndex += chunkMemberCount;
-      });
-
-      chunkData[3]?.thinInstanceSetBuffer("matrix", sphereDimensionsBuffer, 16);
-      chunkData[3]?.thinInstanceSetBuffer("color", sphereColorBuffer, 4);
-      chunkData[4]?.thinInstanceSetBuffer("matrix", octDimensionsBuffer, 16);
-      chunkData[4]?.thinInstanceSetBuffer("color", octColorBuffer, 4);
-    } else {
-      for (let i = chunkData.length - 2; i < chunkData.length; i++) {
-        chunkData[i]?.dispose();
-        chunkData[i] = null;
+/**
+ * Creates the impostor of a distant chunk: one sphere per family at the mean position of its members in the chunk,
+ * in the family color and sized by its memberCounts, with the volume of all members together.
+ * In the density mode, only the outliers are represented, as the other genes are part of the density voxels.
+ * Impostors cannot be picked.
+ */
+function createImpostorMesh(chunkData) {
+  const { sphere, octahedron, familyNames, memberCounts, drawSpheres } = chunkData;
+  const families = new Map(); // family index -> { sum, count, color, diameter }
+  for (const { matrices, colors, refs } of drawSpheres ? [sphere, octahedron] : [octahedron]) {
+    for (let i = 0; i < refs.length / 2; i++) {
+      const f = refs[2 * i];
+      if (!families.has(f)) {
+        // the first member found sets color and size, spheres come first so regular genes take precedence
+        families.set(f, { sum: [0, 0, 0], count: 0, color: colors.slice(4 * i, 4 * i + 4), diameter: matrices[16 * i] });
       }
+      const family = families.get(f);
+      family.count++;
+      for (let axis = 0; axis < 3; axis++) family.sum[axis] += matrices[16 * i + 12 + axis];
     }
   }
+
+  const matrices = new Float32Array(16 * families.size);
+  const colors = new Float32Array(4 * families.size);
+  let i = 0;
+  for (const [f, { sum, count, color, diameter }] of families) {
+    const members = drawSpheres ? memberCounts[familyNames[f]] : count;
+    const size = diameter * Math.cbrt(members);
+    BABYLON.Matrix.ScalingToRef(size, size, size, BABYLON.TmpVectors.Matrix[0]);
+    BABYLON.TmpVectors.Matrix[0].setTranslationFromFloats(sum[0] / count, sum[1] / count, sum[2] / count);
+    BABYLON.TmpVectors.Matrix[0].copyToArray(matrices, 16 * i);
+    colors.set(color, 4 * i);
+    i++;
+  }
+  const mesh = meshPool.acquire("impostor");
+  meshPool.writeBuffer(mesh, "matrix", matrices);
+  meshPool.writeBuffer(mesh, "color", colors);
+  return mesh;
 }
 
-function fillThinInstanceBuffers(dimensionsBuffer, dIndex, colorBuffer, cIndex, diameter, [x, y, z], color) {
-  dimensionsBuffer[dIndex] = diameter; // set x scale
-  dimensionsBuffer[dIndex + 5] = diameter; // set y scale
-  dimensionsBuffer[dIndex + 10] = diameter; // set z scale
+// Writes the color of all data points of a family into the buffers of a mesh, returns whether there are any.
+function writeColors({ colors, refs }, f, color) {
+  let found = false;
+  for (let i = 0; i < refs.length / 2; i++) {
+    if (refs[2 * i] !== f) continue;
+    colors.set(color, 4 * i);
+    found = true;
+  }
+  return found;
+}
 
-  dimensionsBuffer[dIndex + 12] = x;
-  dimensionsBuffer[dIndex + 13] = y;
-  dimensionsBuffer[dIndex + 14] = z;
+// Writes the diameter of all data points of a family into the scaling of their matrices, returns whether there are any.
+function writeDiameters({ matrices, refs }, f, diameter) {
+  let found = false;
+  for (let i = 0; i < refs.length / 2; i++) {
+    if (refs[2 * i] !== f) continue;
+    matrices[16 * i] = diameter;
+    matrices[16 * i + 5] = diameter;
+    matrices[16 * i + 10] = diameter;
+    found = true;
+  }
+  return found;
+}
 
-  dimensionsBuffer[dIndex + 15] = 1;
-  // the unchanged indices affect the rotation of the sphere -> zero 
+/**
+ * Returns how many chunks are loaded and what their meshes take, e.g. for a debug overlay.
+ * @returns {{chunks: number, meshes: number, pooledMeshes: number, instances: number, bufferBytes: number}}
+ *   meshes are those in use, pooledMeshes those kept for reuse, bufferBytes counts the thin instance buffers of both.
+ */
+function getChunkStats() {
+  const stats = meshPool?.getStats() ?? { meshes: 0, pooledMeshes: 0, instances: 0, bufferBytes: 0 };
+  return { chunks: loadedChunks.size, ...stats };
+}
 
-  // setting color
-  colorBuffer[cIndex++] = color.r;
-  colorBuffer[cIndex++] = color.g;
-  colorBuffer[cIndex++] = color.b;
-  colorBuffer[cIndex] = color.a;
+// Lets pickGene map the thin instances of a chunk mesh back to their genes.
+function enableGenePicking(mesh, refs, familyNames) {
+  mesh.thinInstanceEnablePicking = true;
+  mesh.TOX_refs = refs;
+  mesh.TOX_familyNames = familyNames;
 }
 
 function createSphereMesh(scene, name, configColorAttribute, configDiameterAttribute) {
@@ -362,36 +710,9 @@ function createSphereMesh(scene, name, configColorAttribute, configDiameterAttri
   mesh.dataPoint = function (name, position) {
     const instance = this.createInstance(name);
     instance.position = position;
-    instance.actionManager = this.actionManager;
     return instance;
   }
 
-  // Enable pointer interactions by attaching an ActionManager to each instance.
-  mesh.actionManager = new BABYLON.ActionManager(scene);
-
-  // Register a click action to select a sphere.
-  mesh.actionManager.registerAction(
-    new BABYLON.ExecuteCodeAction(BABYLON.ActionManager.OnPickTrigger, function (evt) {
-      const instance = evt.source;
-      const meshSelectedPoints = scene.getMeshByName("meshSelectedPoints");
-      if (instance.TOX_unselectedInstance === undefined) {
-        // Create an instance of meshSelectedPoints
-        const selectedInstance = meshSelectedPoints.dataPoint(instance.name + "_selected", instance.position);
-        selectedInstance.scaling = instance.scaling;
-
-        // Hide instance
-        instance.setEnabled(false);
-        selectedInstance.TOX_unselectedInstance = instance;
-      } else {
-        instance.TOX_unselectedInstance.setEnabled(true);
-
-        instance.dispose();
-      }
-    })
-  );
-
-  setupTooltip(scene, mesh);
-
   return mesh;
 }
 
@@ -404,41 +725,200 @@ function setSphereColor(sphere, color) {
   sphere.material.alpha = sphere.material.diffuseColor.a;
 }
 
+/**
+ * Returns the current world position of a gene, as calculated by the latest chunk reload.
+ * @param {string} family - Name of the family.
+ * @param {number} index - Index of the gene within its family.
+ * @returns {BABYLON.Vector3|undefined} The position, undefined if the family is not plotted or the gene is filtered out.
+ */
+function getGenePosition(family, index) {
+  const positions = genePositions.get(family);
+  // filtered genes have NaN positions
+  if (positions === undefined || 3 * index >= positions.length || Number.isNaN(positions[3 * index])) return undefined;
+  return BABYLON.Vector3.FromArray(positions, 3 * index);
+}
+
+/**
+ * Iterates all plotted genes with their world positions, as calculated by the latest chunk reload.
+ * @returns {Generator<{family: string, index: number, position: number[]}>} The positions as [x, y, z].
+ */
+function* iterPlottedGenes() {
+  for (const [family, positions] of genePositions) {
+    for (let index = 0; 3 * index < positions.length; index++) {
+      if (Number.isNaN(positions[3 * index])) continue; // filtered out
+      yield { family, index, position: [positions[3 * index], positions[3 * index + 1], positions[3 * index + 2]] };
+    }
+  }
+}
+
+/**
+ * Iterates the genes of the currently loaded chunks, whatever they are drawn as:
+ * their own meshes, impostors (see getDetailLevel) or density voxels (see density.js).
+ * @returns {Generator<{family: string, index: number}>}
+ */
+function* iterLoadedGenes() {
+  for (const { sphere, octahedron, familyNames } of loadedChunks) {
+    for (const { refs } of [sphere, octahedron]) {
+      for (let i = 0; i < refs.length; i += 2) {
+        yield { family: familyNames[refs[i]], index: refs[i + 1] };
+      }
+    }
+  }
+}
+
+/**
+ * Returns the names of all plotted families,
+ * i.e. the shown families with values for the current tissues and at least one gene passing the filters.
+ */
+function getPlottedFamilies() {
+  return [...genePositions].filter(([, positions]) => positions.some((v) => !Number.isNaN(v))).map(([family]) => family);
+}
+
+/**
+ * Returns what the x, y and z coordinates of the plot stand for, as calculated by the latest chunk reload:
+ * tissues, transformed as described in axisTransforms.js, or, with config.get("projection") being "pca", principal components.
+ * @returns {{name: string, explainedVariance: number|null, tissue: string|null, axisTransform: Object|null, statistics: Object|null}[]}
+ *   The axes: explainedVariance (between 0 and 1) is null for tissues, tissue and axisTransform are null for principal components,
+ *   statistics are those of the tissue needed to invert its transform, see getRawValue.
+ *   Before the first reload, the untransformed tissues of config.
+ */
+function getAxes() {
+  return plotAxes ?? [config.get("tissueX"), config.get("tissueY"), config.get("tissueZ")].map((tissue) => {
+    return { name: tissue, explainedVariance: null, tissue, axisTransform: { transform: "none", derived: null }, statistics: null };
+  });
+}
+
+/**
+ * Returns the bounding box of all plotted genes in world units, as calculated by the latest chunk reload.
+ * @returns {{min: number[], max: number[]}|undefined} The corners as [x, y, z], undefined if no gene is plotted.
+ */
+function getPlotExtent() {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const positions of genePositions.values()) {
+    for (let i = 0; i < positions.length; i++) {
+      const axis = i % 3;
+      if (positions[i] < min[axis]) min[axis] = positions[i];
+      if (positions[i] > max[axis]) max[axis] = positions[i];
+    }
+  }
+  return min[0] <= max[0] ? { min, max } : undefined;
+}
+
+/**
+ * Function: updateSelectedPoints
+ * Purpose: Show the selected genes as instances of meshSelectedPoints.
+ * - Each instance is placed on the data point of its gene, slightly enlarged to cover it.
+ * - Genes of families that are not plotted get no instance.
+ * - Called whenever the selection changes or the chunks have been recalculated.
+ */
+function updateSelectedPoints(scene) {
+  const meshSelectedPoints = scene.getMeshByName("meshSelectedPoints");
+  for (const instance of [...meshSelectedPoints.instances]) {
+    instance.dispose();
+  }
+
+  for (const [family, index] of selection) {
+    const position = getGenePosition(family, index);
+    if (position !== undefined) {
+      const gene = dataHandler.getGene(family, index);
+      const instance = meshSelectedPoints.dataPoint(`${gene.id}_selected`, position);
+      setSphereSize(instance, getDataPointDiameter(family, gene.isOutlier) * selectedDataPointScaling);
+      instance.TOX_gene = { family, index };
+    }
+  }
+}
+
+/**
+ * Returns the gene under the pointer, either a thin instance of a chunk mesh or a selected data point.
+ * @returns {{family: string, index: number}|undefined}
+ */
+function pickGene(scene) {
+  const pickInfo = scene.pick(scene.pointerX, scene.pointerY, (mesh) => {
+    return mesh.TOX_refs !== undefined || mesh.TOX_gene !== undefined;
+  });
+  if (!pickInfo?.hit) return undefined;
+
+  const mesh = pickInfo.pickedMesh;
+  if (mesh.TOX_gene !== undefined) return mesh.TOX_gene;
+
+  const i = pickInfo.thinInstanceIndex;
+  if (i === undefined || i < 0) return undefined;
+  return { family: mesh.TOX_familyNames[mesh.TOX_refs[2 * i]], index: mesh.TOX_refs[2 * i + 1] };
+}
+
 /***************************************************************
- * Function: setupTooltipFollow
- * Purpose: Make the tooltip div follow the mouse pointer.
- * - Listens for mousemove events on the canvas.
- * - Offsets the tooltip by a few pixels from the pointer for better visibility.
+ * Function: setupPointerInteraction
+ * Purpose: Show details of the gene under the pointer and select genes by clicking.
+ * - Picks the thin instances of the chunk meshes as well as the selected data points.
+ * - The #datapoint tooltip follows the pointer, offset by a few pixels for better visibility.
+ * - A click (without dragging the camera) toggles the gene in the selection.
  ***************************************************************/
-function setupTooltip(scene, mesh) {
-  // Register a hover action to display a tooltip with the data values.
+function setupPointerInteraction(scene) {
   const datapointDiv = document.getElementById("datapoint");
-  mesh.actionManager.registerAction(
-    new BABYLON.ExecuteCodeAction(BABYLON.ActionManager.OnPointerOverTrigger, function (evt) {
-      const dataPoint = evt.source;
-      if (dataPoint) {
+  let hoveredGene;
+
+  scene.onPointerObservable.add((pointerInfo) => {
+    if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERMOVE) {
+      const gene = pickGene(scene);
+      if (gene === undefined) {
+        datapointDiv.style.display = "none";
+        document.body.style.cursor = "unset";
+      } else {
+        if (gene.family !== hoveredGene?.family || gene.index !== hoveredGene?.index) {
+          fillTooltip(datapointDiv, gene.family, gene.index);
+        }
         datapointDiv.style.display = "block";
+        datapointDiv.style.left = (pointerInfo.event.clientX + 10) + "px";
+        datapointDiv.style.top = (pointerInfo.event.clientY + 10) + "px";
         document.body.style.cursor = "pointer";
-        // Format the tooltip content with two decimal places.
-        datapointDiv.innerHTML = "x: " + dataPoint.position.x.toFixed(2) + 
-                               "<br>y: " + dataPoint.position.y.toFixed(2) + 
-                               "<br>z: " + dataPoint.position.z.toFixed(2);
       }
-    })
-  );
+      hoveredGene = gene;
+    } else if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERTAP) {
+      const gene = pickGene(scene);
+      if (gene !== undefined) {
+        selection.toggle(gene.family, gene.index);
+      }
+    }
+  });
 
-  // Hide the tooltip when the pointer leaves the sphere.
-  mesh.actionManager.registerAction(
-    new BABYLON.ExecuteCodeAction(BABYLON.ActionManager.OnPointerOutTrigger, function () {
-      datapointDiv.style.display = "none";
-      document.body.style.cursor = "unset";
-    })
-  );
+  // the content depends on the dataset and tissues, so it needs to be rebuilt after a reload
+  document.addEventListener("chunkReload", () => {
+    hoveredGene = undefined;
+  });
+}
 
-  scene.getEngine().getRenderingCanvas().addEventListener("mousemove", function (evt) {
-    datapointDiv.style.left = (evt.clientX + 10) + "px";
-    datapointDiv.style.top = (evt.clientY + 10) + "px";
+// Lists id, family, outlier flag, transformed coordinates or principal components,
+// raw value of every tissue and further metadata of a gene.
+function fillTooltip(datapointDiv, family, index) {
+  const gene = dataHandler.getGene(family, index);
+  const position = getGenePosition(family, index)?.asArray();
+  const axes = {}; // tissues shown as they are, by name
+  const coordinates = [];
+  getAxes().forEach(({ name, tissue, axisTransform }, i) => {
+    if (axisTransform?.transform === "none" && axisTransform.derived === null) {
+      axes[tissue] = "xyz"[i];
+    } else if (position !== undefined) {
+      coordinates.push(`${name} (${"xyz"[i]}): ${(position[i] / config.get("scale")).toFixed(2)}`);
+    }
   });
+
+  const title = document.createElement("b");
+  title.textContent = gene.id;
+  const lines = [
+    `family: ${gene.family}`,
+    `outlier: ${gene.isOutlier ? "yes" : "no"}`,
+    ...coordinates,
+    ...Object.entries(gene.values).map(([tissue, value]) => {
+      return `${tissue}${axes[tissue] ? ` (${axes[tissue]})` : ""}: ${value.toFixed(2)}`;
+    }),
+    ...Object.entries(gene.metaData).map(([key, value]) => `${key}: ${value}`)
+  ];
+
+  datapointDiv.replaceChildren(title, ...lines.flatMap((line) => [document.createElement("br"), line]));
 }
 
-export { plotData, createSphereMesh };
\ No newline at end of file
+export {
+  plotData, createSphereMesh, getGenePosition, getChunkStats, getAxes, getPlotExtent, iterPlottedGenes, iterLoadedGenes, getPlottedFamilies,
+  getFamilyColor, getDataPointDiameter
+};
@@ -0,0 +1,169 @@
+"use strict";
+
+import { clock } from "./clock.js";
+import { downloadBlob } from "./exporter.js";
+
+// Babylon.js advances animations by this many milliseconds per frame when using a constant delta time.
+const babylonConstantDeltaTime = 16;
+
+/**
+ * Function: setupRecorder
+ * Purpose: Record the view as WebM video or as numbered PNG sequence, e.g. for presentations.
+ * - Every frame includes all given scenes, i.e. the plot with its overlays and the compass.
+ * - Resolution and frame rate are taken from recordingWidth, recordingHeight and recordingFrameRate.
+ * - While recording, clock.js and the Babylon.js animations advance by exactly one frame time per frame,
+ *   so camera movements, tissue transitions and tours look the same however long rendering takes.
+ * - Videos are encoded in real time, so their frames are additionally paced by the wall clock.
+ *   Image sequences are rendered as fast as possible.
+ * - With "whole tour" checked, the recording plays the tour from the start and ends with it.
+ * @param {BABYLON.Engine} engine - The engine rendering the scenes.
+ * @param {BABYLON.Scene[]} scenes - The scenes in rendering order, the first one being the main scene.
+ * @param {{playFromStart: function(): Promise<void>}} tour - The guided tour, see setupTour.
+ */
+export function setupRecorder(engine, scenes, tour) {
+  const panel = document.getElementById("recorder");
+  const [videoButton, imagesButton, stopButton] = panel.querySelectorAll("button");
+  const tourInput = panel.querySelector("input[type=checkbox]");
+  const status = panel.querySelector(".status");
+
+  let recording = null;
+
+  function updatePanel() {
+    videoButton.disabled = recording !== null;
+    imagesButton.disabled = recording !== null;
+    stopButton.disabled = recording === null;
+    tourInput.disabled = recording !== null;
+    status.textContent = recording === null ? "" : `${recording.frames} frames`;
+  }
+
+  async function record(createOutput) {
+    const width = config.get("recordingWidth");
+    const height = config.get("recordingHeight");
+    const frameTime = 1000 / config.get("recordingFrameRate");
+
+    const frameCanvas = document.createElement("canvas");
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const frameContext = frameCanvas.getContext("2d");
+
+    let output;
+    try {
+      output = await createOutput(frameCanvas);
+    } catch (err) {
+      // e.g. the folder picker was cancelled or the browser lacks support
+      status.textContent = `not started: ${err.message}`;
+      return;
+    }
+
+    recording = { frames: 0, stopped: false };
+    updatePanel();
+
+    const [mainScene] = scenes;
+    const renderLoop = engine.activeRenderLoops[0];
+    engine.stopRenderLoop();
+    clock.useFixedTime();
+    mainScene.useConstantAnimationDeltaTime = true;
+    mainScene.animationTimeScale = frameTime / babylonConstantDeltaTime;
+
+    if (tourInput.checked) {
+      tour.playFromStart().then(stop);
+    }
+
+    try {
+      while (!recording.stopped) {
+        const frameStart = performance.now();
+        // set every frame, as resizing the window resizes the engine as well
+        engine.setSize(width, height);
+        engine.beginFrame();
+        for (const scene of scenes) {
+          scene.render();
+        }
+        engine.endFrame();
+        // the canvas has to be copied before the browser presents it
+        frameContext.clearRect(0, 0, width, height);
+        frameContext.drawImage(engine.getRenderingCanvas(), 0, 0, width, height);
+        await output.addFrame(recording.frames);
+        recording.frames++;
+        status.textContent = `${recording.frames} frames`;
+        clock.advance(frameTime);
+
+        // give worker results and clicks on stop a chance to arrive
+        const delay = output.realTime ? frameTime - (performance.now() - frameStart) : 0;
+        await new Promise((resolve) => setTimeout(resolve, Math.max(0, delay)));
+      }
+      await output.finish();
+    } catch (err) {
+      console.error("Recording failed:", err);
+    } finally {
+      clock.useWallTime();
+      mainScene.useConstantAnimationDeltaTime = false;
+      mainScene.animationTimeScale = 1;
+      engine.resize();
+      engine.runRenderLoop(renderLoop);
+      recording = null;
+      updatePanel();
+    }
+  }
+
+  function stop() {
+    if (recording !== null) {
+      recording.stopped = true;
+    }
+  }
+
+  videoButton.addEventListener("click", () => record(createVideoOutput));
+  imagesButton.addEventListener("click", () => record(createImageSequenceOutput));
+  stopButton.addEventListener("click", stop);
+  updatePanel();
+}
+
+/**
+ * Encodes the frames as WebM video with a MediaRecorder, downloaded when finished.
+ */
+function createVideoOutput(frameCanvas) {
+  const stream = frameCanvas.captureStream(0); // frames are only taken on requestFrame
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType: "video/webm" });
+  const parts = [];
+  recorder.addEventListener("dataavailable", (evt) => parts.push(evt.data));
+  recorder.start();
+
+  return {
+    realTime: true,
+    addFrame: () => track.requestFrame(),
+    finish: () => new Promise((resolve) => {
+      recorder.addEventListener("stop", () => {
+        downloadBlob(new Blob(parts, { type: "video/webm" }), "tox_flyer_recording.webm");
+        resolve();
+      });
+      recorder.stop();
+    })
+  };
+}
+
+/**
+ * Saves every frame as numbered PNG file.
+ * Where supported, the files are written into a folder picked by the user instead of downloading each on its own.
+ */
+async function createImageSequenceOutput(frameCanvas) {
+  const directory = window.showDirectoryPicker === undefined
+    ? null
+    : await window.showDirectoryPicker({ mode: "readwrite" });
+
+  return {
+    realTime: false,
+    addFrame: async (index) => {
+      const blob = await new Promise((resolve) => frameCanvas.toBlob(resolve, "image/png"));
+      const fileName = `tox_flyer_frame_${String(index).padStart(5, "0")}.png`;
+      if (directory === null) {
+        downloadBlob(blob, fileName);
+      } else {
+        const file = await directory.getFileHandle(fileName, { create: true });
+        const writable = await file.createWritable();
+        await writable.write(blob);
+        await writable.close();
+      }
+    },
+    finish: async () => {}
+  };
+}
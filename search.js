@@ -0,0 +1,170 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { getGenePosition } from "./plotData.js";
+import { getPoseLookingAt, moveToPose } from "./camera.js";
+import { selection } from "./selection.js";
+
+// number of suggestions offered while typing
+const maxSuggestions = 20;
+
+// Lookup of everything searchable in the current dataset, built on first use after each dataset change.
+// id -> [{ family, index }], gene ids may occur in several families
+let geneIndex = null;
+
+function getGeneIndex() {
+  if (geneIndex === null) {
+    geneIndex = new Map();
+    for (const family of dataHandler.families) {
+      const { genes } = dataHandler.getColumns(family);
+      for (let index = 0; index < genes.length; index++) {
+        if (!geneIndex.has(genes[index])) geneIndex.set(genes[index], []);
+        geneIndex.get(genes[index]).push({ family, index });
+      }
+    }
+  }
+  return geneIndex;
+}
+
+/**
+ * Collects suggestions for a search term, families first, then genes.
+ * Matches at the start of a name rank before matches anywhere else.
+ * @returns {{value: string, label: string}[]}
+ */
+function getSuggestions(term) {
+  const query = term.trim().toLowerCase();
+  if (query === "") return [];
+
+  const rank = (name) => {
+    const position = name.toLowerCase().indexOf(query);
+    return position === -1 ? -1 : (position === 0 ? 0 : 1);
+  };
+  const collect = (names, label) => {
+    const found = [[], []];
+    for (const name of names) {
+      const r = rank(name);
+      if (r !== -1 && found[r].length < maxSuggestions) found[r].push({ value: name, label: label(name) });
+    }
+    return [...found[0], ...found[1]];
+  };
+
+  const index = getGeneIndex();
+  return [
+    ...collect(dataHandler.families, (family) => `family, ${dataHandler.getColumns(family).genes.length} genes`),
+    ...collect(index.keys(), (id) => index.get(id).map(({ family }) => family).join(", "))
+  ].slice(0, maxSuggestions);
+}
+
+/**
+ * Shows the members of a family, if shownFamilies currently hides it.
+ * @returns {Promise<void>} Resolves once the chunks including the family have been loaded.
+ */
+function showFamily(family) {
+  const shownFamilies = config.get("shownFamilies");
+  if (shownFamilies === null || shownFamilies.includes(family)) {
+    return Promise.resolve();
+  }
+  const loaded = new Promise((resolve) => {
+    document.addEventListener("chunksLoaded", () => resolve(), { once: true });
+  });
+  config.set("shownFamilies", [...shownFamilies, family]);
+  return loaded;
+}
+
+/**
+ * Selects the given genes, flies to them and loads the chunks around them.
+ * A single gene is approached to orbitModeTargetDistance, several genes are framed as a whole.
+ * @param {BABYLON.Scene} scene - The main scene.
+ * @param {{family: string, index: number}[]} genes - The genes to go to.
+ * @returns {Promise<boolean>} Resolves once the camera arrived, false without going anywhere if none of the genes is plotted.
+ */
+async function goToGenes(scene, genes) {
+  for (const family of new Set(genes.map((gene) => gene.family))) {
+    await showFamily(family);
+  }
+
+  const positions = genes.map(({ family, index }) => getGenePosition(family, index)).filter((p) => p !== undefined);
+  if (positions.length === 0) {
+    return false;
+  }
+
+  selection.replace(genes.map(({ family, index }) => [family, index]));
+
+  // frame the bounding sphere of all positions
+  const min = positions.reduce((a, b) => BABYLON.Vector3.Minimize(a, b));
+  const max = positions.reduce((a, b) => BABYLON.Vector3.Maximize(a, b));
+  const center = BABYLON.Vector3.Center(min, max);
+  const radius = BABYLON.Vector3.Distance(min, max) / 2;
+  const distance = Math.max(config.get("orbitModeTargetDistance"), 1.2 * radius / Math.sin(scene.activeCamera.fov / 2));
+
+  await moveToPose(scene, getPoseLookingAt(scene, center, distance));
+  return true;
+}
+
+/**
+ * Function: setupSearch
+ * Purpose: Find genes and families by name and go to them.
+ * - The #search input suggests matching family names and gene ids while typing.
+ * - Picking a gene selects it, and the active camera flies to it.
+ * - Picking a family selects all its members and frames them.
+ * - Hidden families are added to shownFamilies first.
+ * - "/" on the canvas focuses the search input.
+ * @param {BABYLON.Scene} scene - The main scene.
+ */
+export function setupSearch(scene) {
+  const canvas = scene.getEngine().getRenderingCanvas();
+  const input = document.querySelector("#search input");
+  const suggestions = document.getElementById("searchSuggestions");
+
+  input.addEventListener("input", () => {
+    input.setCustomValidity("");
+    suggestions.replaceChildren(...getSuggestions(input.value).map(({ value, label }) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.label = label;
+      return option;
+    }));
+  });
+
+  input.addEventListener("change", () => {
+    const term = input.value.trim();
+    if (term === "") return;
+
+    let genes;
+    if (dataHandler.families.includes(term)) {
+      const { genes: ids } = dataHandler.getColumns(term);
+      genes = Array.from(ids, (_, index) => ({ family: term, index }));
+    } else {
+      genes = getGeneIndex().get(term);
+    }
+
+    if (genes === undefined) {
+      input.setCustomValidity(`No gene or family named '${term}'`);
+      input.reportValidity();
+      return;
+    }
+    input.setCustomValidity("");
+    canvas.focus(); // give the keyboard controls back to the view
+    goToGenes(scene, genes).then((plotted) => {
+      if (!plotted) {
+        // e.g. hidden by the filters or lacking values for the current tissues
+        input.setCustomValidity(`'${term}' is not plotted with the current settings`);
+        input.reportValidity();
+      }
+    });
+  });
+
+  canvas.addEventListener("keydown", (evt) => {
+    if (evt.key === "/") {
+      evt.preventDefault();
+      input.focus();
+      input.select();
+    }
+  });
+
+  document.addEventListener("chunkReload", (evt) => {
+    if (evt.detail.setting === "data") {
+      geneIndex = null;
+    }
+  });
+}
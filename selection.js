@@ -0,0 +1,87 @@
+"use strict";
+
+/**
+ * The set of currently selected genes.
+ *
+ * Genes are referenced by family name and their index within the family, as gene ids are not
+ * guaranteed to be unique across families in every dataset. Every change dispatches a
+ * "selectionChange" event on document, loading another dataset clears the selection.
+ */
+
+// family -> Set of gene indices
+const selectedGenes = new Map();
+
+function notify() {
+  document.dispatchEvent(new CustomEvent("selectionChange"));
+}
+
+export const selection = {
+  get size() {
+    let size = 0;
+    for (const indices of selectedGenes.values()) size += indices.size;
+    return size;
+  },
+  has(family, index) {
+    return selectedGenes.get(family)?.has(index) ?? false;
+  },
+  add(family, index) {
+    if (!this.has(family, index)) {
+      if (!selectedGenes.has(family)) selectedGenes.set(family, new Set());
+      selectedGenes.get(family).add(index);
+      notify();
+    }
+  },
+  delete(family, index) {
+    if (selectedGenes.get(family)?.delete(index)) {
+      if (selectedGenes.get(family).size === 0) selectedGenes.delete(family);
+      notify();
+    }
+  },
+  toggle(family, index) {
+    if (this.has(family, index)) this.delete(family, index);
+    else this.add(family, index);
+  },
+  clear() {
+    if (selectedGenes.size > 0) {
+      selectedGenes.clear();
+      notify();
+    }
+  },
+  // The following take many genes as [family, index] pairs and notify only once.
+  addAll(genes) {
+    for (const [family, index] of genes) {
+      if (!selectedGenes.has(family)) selectedGenes.set(family, new Set());
+      selectedGenes.get(family).add(index);
+    }
+    notify();
+  },
+  deleteAll(genes) {
+    for (const [family, index] of genes) {
+      if (selectedGenes.get(family)?.delete(index) && selectedGenes.get(family).size === 0) {
+        selectedGenes.delete(family);
+      }
+    }
+    notify();
+  },
+  replace(genes) {
+    selectedGenes.clear();
+    this.addAll(genes);
+  },
+  // iterates over [family, index] of all selected genes
+  *[Symbol.iterator]() {
+    for (const [family, indices] of selectedGenes) {
+      for (const index of indices) {
+        yield [family, index];
+      }
+    }
+  }
+};
+
+Object.freeze(selection);
+
+// gene indices of another dataset would point to different genes
+document.addEventListener("chunkReload", (evt) => {
+  if (evt.detail.setting === "data") {
+    selection.clear();
+  }
+});
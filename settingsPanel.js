@@ -0,0 +1,308 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { createFiltersControl } from "./filterControl.js";
+import { transforms, derivations } from "./axisTransforms.js";
+
+// Sections of the panel, settings not listed here end up in the last one.
+const sections = [
+  ["View", [
+    "darkMode", "projection", "tissueX", "tissueY", "tissueZ", "transformX", "transformY", "transformZ",
+    "tissueTransitionDuration", "scale", "shownFamilies", "renderMode", "densityCellSize", "densityOpacity",
+    "centroids", "centroidLines", "spreadEllipsoids"
+  ]],
+  ["Camera", ["orbitMode", "x", "y", "z", "rotationX", "rotationY", "orbitModeTargetDistance", "movementSpeed", "mouseSensibility"]],
+  ["Filters", ["filters"]],
+  ["Chunks", ["chunkDiameter", "chunkLoadRange", "lodLowPolyDistance", "lodImpostorDistance", "chunkBuildBudget", "chunkStats"]],
+  ["Recording", ["recordingWidth", "recordingHeight", "recordingFrameRate"]],
+  ["Export", ["exportWidth", "exportHeight", "exportDpi", "exportTransparent", "exportLegend", "exportAxisLabels", "exportFileName"]],
+  ["Other", []]
+];
+
+// Numbers with a sensible range get a slider besides their input, [min, max, step].
+const sliderRanges = {
+  scale: [1, 1000, 1],
+  tissueTransitionDuration: [0, 5000, 100],
+  orbitModeTargetDistance: [1, 1000, 1],
+  movementSpeed: [0.05, 5, 0.05],
+  mouseSensibility: [100, 10000, 100],
+  chunkDiameter: [5, 500, 5],
+  chunkLoadRange: [1, 10, 1],
+  lodLowPolyDistance: [1, 10, 1],
+  lodImpostorDistance: [1, 10, 1],
+  chunkBuildBudget: [1, 64, 1],
+  densityCellSize: [1, 100, 1],
+  densityOpacity: [0.05, 1, 0.05],
+  recordingFrameRate: [1, 60, 1],
+  exportDpi: [72, 600, 1],
+  outlierDataPointDiameter: [0.05, 5, 0.05]
+};
+
+// Settings with a fixed set of values get a dropdown, [value, label] per value by type.
+const choices = {
+  projection: [["tissues", "tissues"], ["pca", "principal components"]],
+  renderMode: [["points", "points"], ["density", "density"]]
+};
+
+/**
+ * Function: setupSettingsPanel
+ * Purpose: Make every setting of config editable in the page instead of the console only.
+ * - The controls are generated from config.getSchema, one per type of value:
+ *   booleans become toggles, numbers inputs (with a slider if a range is known), strings text inputs,
+ *   colors color pickers with an alpha slider, tissues, projection and render mode dropdowns,
+ *   axis transforms a dropdown each for transform, derivation and second tissue, shownFamilies a multi-select list
+ *   and filters a list of ranges and predicates, see filterControl.js.
+ * - While the panel is open, its controls follow changes made by keyboard, camera, URL import or console,
+ *   as announced by the configChange event of config.set.
+ * @param {HTMLCanvasElement} canvas - The canvas receiving the keyboard focus when the panel is closed.
+ */
+export function setupSettingsPanel(canvas) {
+  const panel = document.getElementById("settings");
+  const toggleButton = panel.querySelector("button");
+  const body = panel.querySelector(".body");
+
+  const sectionOf = (key) => sections.find(([, keys]) => keys.includes(key)) ?? sections[sections.length - 1];
+  const sectionElements = new Map(sections.map(([title]) => {
+    const fieldset = document.createElement("fieldset");
+    const legend = document.createElement("legend");
+    legend.textContent = title;
+    fieldset.appendChild(legend);
+    return [title, fieldset];
+  }));
+
+  // every control can refresh itself from config, by key
+  const controls = new Map();
+  for (const { key, type } of config.getSchema()) {
+    const control = createControl(key, type);
+    if (control !== undefined) {
+      controls.set(key, control);
+      sectionElements.get(sectionOf(key)[0]).appendChild(control.element);
+    }
+  }
+  body.replaceChildren(...sectionElements.values());
+
+  const isOpen = () => body.style.display === "block";
+
+  function refresh(control) {
+    if (!control.element.contains(document.activeElement)) {
+      control.refresh();
+    }
+  }
+
+  toggleButton.addEventListener("click", () => {
+    body.style.display = isOpen() ? "none" : "block";
+    if (isOpen()) {
+      controls.forEach(refresh);
+    } else {
+      canvas.focus();
+    }
+  });
+
+  document.addEventListener("configChange", (evt) => {
+    if (!isOpen()) return;
+    if (evt.detail.key === "darkMode") {
+      controls.forEach(refresh); // colors have a value per mode
+    } else if (controls.has(evt.detail.key)) {
+      refresh(controls.get(evt.detail.key));
+    }
+  });
+
+  // tissue and family lists depend on the dataset, so they are refreshed regardless of focus
+  document.addEventListener("chunkReload", (evt) => {
+    if (evt.detail.setting === "data") {
+      for (const control of controls.values()) {
+        control.updateOptions?.();
+        control.refresh();
+      }
+    }
+  });
+}
+
+/**
+ * Creates the control for a single setting.
+ * @param {string} key - The setting.
+ * @param {string} type - Its type, see config.getType.
+ * @param {function(): *} [getFallback] - Value to show while the setting has no value, e.g. for <family>_Color.
+ * @returns {{element: HTMLElement, refresh: function(): void, updateOptions: (function(): void)|undefined}|undefined}
+ *   undefined for types without control.
+ */
+export function createControl(key, type, getFallback = () => undefined) {
+  const element = document.createElement("div");
+  element.className = "setting";
+  const name = document.createElement("span");
+  name.textContent = key;
+  element.appendChild(name);
+
+  switch (type) {
+    case "boolean": {
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.addEventListener("change", () => config.set(key, input.checked));
+      element.appendChild(input);
+      return { element, refresh: () => { input.checked = config.get(key); } };
+    }
+    case "number":
+    case "positiveNumber":
+    case "nonNegativeNumber":
+    case "positiveInteger": {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = type === "positiveInteger" ? "1" : "any";
+      if (type !== "number") input.min = type === "positiveInteger" ? "1" : "0";
+      const inputs = [input];
+
+      const range = sliderRanges[key];
+      if (range !== undefined) {
+        const slider = document.createElement("input");
+        slider.type = "range";
+        [slider.min, slider.max, slider.step] = range;
+        slider.addEventListener("input", () => { input.value = slider.value; });
+        input.addEventListener("input", () => { slider.value = input.value; });
+        inputs.unshift(slider);
+      }
+      for (const i of inputs) {
+        i.addEventListener("change", () => config.set(key, Number(i.value)));
+        element.appendChild(i);
+      }
+      return {
+        element,
+        refresh: () => {
+          const value = config.get(key) ?? getFallback();
+          // limit the digits of values changing continuously like the camera position
+          input.value = Number.isInteger(value) ? value : Number(value.toPrecision(6));
+          if (inputs.length > 1) inputs[0].value = value;
+        }
+      };
+    }
+    case "color": {
+      // color inputs do not support transparency, so the alpha channel gets a slider of its own
+      const colorInput = document.createElement("input");
+      colorInput.type = "color";
+      const alphaInput = document.createElement("input");
+      alphaInput.type = "range";
+      alphaInput.min = "0";
+      alphaInput.max = "255";
+      alphaInput.title = "opacity";
+      const apply = () => {
+        const alpha = Number(alphaInput.value).toString(16).padStart(2, "0");
+        config.set(key, (colorInput.value + alpha).toUpperCase());
+      };
+      colorInput.addEventListener("change", apply);
+      alphaInput.addEventListener("change", apply);
+      element.append(colorInput, alphaInput);
+      return {
+        element,
+        refresh: () => {
+          const value = config.get(key) ?? getFallback();
+          colorInput.value = value.slice(0, 7).toLowerCase();
+          alphaInput.value = value.length > 7 ? parseInt(value.slice(7, 9), 16) : 255;
+        }
+      };
+    }
+    case "string": {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.addEventListener("change", () => config.set(key, input.value));
+      element.appendChild(input);
+      return { element, refresh: () => { input.value = config.get(key); } };
+    }
+    case "projection":
+    case "renderMode": {
+      const select = document.createElement("select");
+      select.append(...choices[type].map(([value, label]) => new Option(label, value)));
+      select.addEventListener("change", () => config.set(key, select.value));
+      element.appendChild(select);
+      return { element, refresh: () => { select.value = config.get(key); } };
+    }
+    case "axisTransform": {
+      const transformSelect = document.createElement("select");
+      transformSelect.replaceChildren(...Object.entries(transforms).map(([value, { label }]) => new Option(label, value)));
+      const operationSelect = document.createElement("select");
+      operationSelect.replaceChildren(
+        new Option("single tissue", ""),
+        ...Object.entries(derivations).map(([value, { symbol }]) => new Option(`${symbol} ${value}`, value))
+      );
+      const tissueSelect = document.createElement("select");
+      const apply = () => {
+        const derived = operationSelect.value === "" ? null : { operation: operationSelect.value, tissue: tissueSelect.value };
+        config.set(key, { transform: transformSelect.value, derived });
+      };
+      for (const select of [transformSelect, operationSelect, tissueSelect]) {
+        select.addEventListener("change", apply);
+      }
+      element.append(transformSelect, operationSelect, tissueSelect);
+      const updateOptions = () => {
+        tissueSelect.replaceChildren(...dataHandler.tissues.map((tissue) => new Option(tissue, tissue)));
+      };
+      updateOptions();
+      return {
+        element,
+        updateOptions,
+        refresh: () => {
+          const { transform, derived } = config.get(key);
+          transformSelect.value = transform;
+          operationSelect.value = derived?.operation ?? "";
+          tissueSelect.disabled = derived === null;
+          if (derived !== null) tissueSelect.value = derived.tissue;
+        }
+      };
+    }
+    case "tissue": {
+      const select = document.createElement("select");
+      select.addEventListener("change", () => config.set(key, select.value));
+      element.appendChild(select);
+      const updateOptions = () => {
+        select.replaceChildren(...dataHandler.tissues.map((tissue) => new Option(tissue, tissue)));
+      };
+      updateOptions();
+      return {
+        element,
+        updateOptions,
+        refresh: () => {
+          const value = config.get(key);
+          // keep showing tissues that are configured but missing in the dataset
+          if (![...select.options].some((option) => option.value === value)) {
+            select.appendChild(new Option(`${value} (not in dataset)`, value));
+          }
+          select.value = value;
+        }
+      };
+    }
+    case "families": {
+      element.classList.add("families");
+      const allInput = document.createElement("input");
+      allInput.type = "checkbox";
+      const allLabel = document.createElement("label");
+      allLabel.append(allInput, "all");
+      const select = document.createElement("select");
+      select.multiple = true;
+      select.size = 6;
+
+      const apply = () => {
+        config.set(key, allInput.checked ? null : [...select.selectedOptions].map((option) => option.value));
+      };
+      allInput.addEventListener("change", apply);
+      select.addEventListener("change", apply);
+      element.append(allLabel, select);
+
+      const updateOptions = () => {
+        select.replaceChildren(...dataHandler.families.map((family) => new Option(family, family)));
+      };
+      updateOptions();
+      return {
+        element,
+        updateOptions,
+        refresh: () => {
+          const value = config.get(key);
+          allInput.checked = value === null;
+          select.disabled = value === null;
+          for (const option of select.options) {
+            option.selected = value === null || value.includes(option.value);
+          }
+        }
+      };
+    }
+    case "filters":
+      return createFiltersControl(key);
+  }
+}
@@ -0,0 +1,231 @@
+"use strict";
+
+import { handler as dataHandler } from "./dataHandler.js";
+import { getCameraPose, moveToPose } from "./camera.js";
+import { clock } from "./clock.js";
+
+// settings restored by every step, besides the camera pose
+const stepSettings = [
+  "shownFamilies", "projection", "tissueX", "tissueY", "tissueZ", "transformX", "transformY", "transformZ", "orbitMode"
+];
+
+// durations of new steps in milliseconds, flight is the camera movement to the step, hold the time spent there
+const defaultFlight = 1500;
+const defaultHold = 3000;
+
+/**
+ * Function: setupTour
+ * Purpose: Play a guided tour through tissue combinations, families and camera poses.
+ * - The steps are stored in config.get("tour"), so they are part of the URL created by config.asURL.
+ * - Each step restores shownFamilies, the tissues, orbitMode and the camera pose captured when it was added.
+ * - The camera moves smoothly between the poses, the next step waits for the chunks of the current one.
+ * - The #tour panel adds, edits and removes steps and plays, pauses or skips through them, "p" on the canvas plays and pauses.
+ * - Step durations follow clock.js, so recordings of a tour do not depend on the rendering speed.
+ * @param {BABYLON.Scene} scene - The main scene.
+ * @returns {{playFromStart: function(): Promise<void>}} Playback for other features, e.g. recording a tour.
+ */
+export function setupTour(scene) {
+  const panel = document.getElementById("tour");
+  const toggleButton = panel.querySelector(".title button");
+  const body = panel.querySelector(".body");
+  const [addButton, familiesButton, clearButton, previousButton, playButton, nextButton] = body.querySelectorAll(".controls button");
+  const status = panel.querySelector(".status");
+  const list = body.querySelector("ol");
+
+  let current = -1; // index of the step shown last, -1 if none
+  let playing = false;
+  let ended = false; // whether the last step has been played through
+  let run = 0; // increased on every jump, so the continuations of earlier steps stop
+  let resolvePlayback = null; // resolves the promise returned by play
+
+  const stopPlaying = () => {
+    playing = false;
+    resolvePlayback?.();
+    resolvePlayback = null;
+  };
+
+  const setSteps = (steps) => {
+    config.set("tour", steps);
+    current = Math.min(current, steps.length - 1);
+    render();
+  };
+
+  async function goTo(index) {
+    const steps = config.get("tour");
+    if (index < 0 || index >= steps.length) return;
+    const thisRun = ++run;
+    current = index;
+    ended = false;
+    render();
+
+    await showStep(scene, steps[index]);
+    if (thisRun !== run || !playing) return;
+    await clock.wait(scene, steps[index].hold);
+    if (thisRun !== run || !playing) return;
+
+    if (index + 1 < steps.length) {
+      goTo(index + 1);
+    } else {
+      stopPlaying();
+      ended = true;
+      render();
+    }
+  }
+
+  function togglePlaying() {
+    if (playing) {
+      stopPlaying();
+      run++;
+      render();
+    } else {
+      play(current === -1 || ended ? 0 : current);
+    }
+  }
+
+  function play(index) {
+    const playback = new Promise((resolve) => { resolvePlayback = resolve; });
+    if (config.get("tour").length > 0) {
+      playing = true;
+      goTo(index);
+    } else {
+      stopPlaying();
+    }
+    return playback;
+  }
+
+  function render() {
+    const steps = config.get("tour");
+    status.textContent = current === -1 ? `${steps.length} steps` : `step ${current + 1} of ${steps.length}`;
+    playButton.textContent = playing ? "❚❚" : "▶";
+    list.replaceChildren(...steps.map((step, index) => createStepItem(step, index)));
+  }
+
+  function createStepItem(step, index) {
+    const item = document.createElement("li");
+    item.classList.toggle("current", index === current);
+
+    const label = document.createElement("span");
+    label.className = "name";
+    const { shownFamilies, projection, tissueX, tissueY, tissueZ } = step.settings;
+    const families = shownFamilies === undefined ? "" : shownFamilies === null ? ", all families" : `, ${shownFamilies.join(" ")}`;
+    label.textContent = `${projection === "pca" ? "PCA" : `${tissueX}/${tissueY}/${tissueZ}`}${families}`;
+    label.title = "go to step";
+    label.addEventListener("click", () => goTo(index));
+
+    // durations are edited in seconds
+    const durationInput = (property, title) => {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "0";
+      input.step = "0.5";
+      input.title = title;
+      input.value = step[property] / 1000;
+      input.addEventListener("change", () => {
+        const steps = [...config.get("tour")];
+        steps[index] = { ...step, [property]: Math.max(0, Number(input.value)) * 1000 };
+        setSteps(steps);
+      });
+      return input;
+    };
+
+    const replaceButton = document.createElement("button");
+    replaceButton.type = "button";
+    replaceButton.textContent = "⟳";
+    replaceButton.title = "replace with current view";
+    replaceButton.addEventListener("click", () => {
+      const steps = [...config.get("tour")];
+      steps[index] = { ...captureStep(), flight: step.flight, hold: step.hold };
+      setSteps(steps);
+    });
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.textContent = "×";
+    removeButton.title = "remove step";
+    removeButton.addEventListener("click", () => {
+      setSteps(config.get("tour").filter((_, i) => i !== index));
+    });
+
+    item.append(
+      label,
+      durationInput("flight", "seconds to move to this step"),
+      durationInput("hold", "seconds to stay at this step"),
+      replaceButton,
+      removeButton
+    );
+    return item;
+  }
+
+  addButton.addEventListener("click", () => setSteps([...config.get("tour"), captureStep()]));
+  // replaces window.iterFamilies of earlier versions
+  familiesButton.addEventListener("click", () => {
+    const step = captureStep();
+    const shownFamilies = config.get("shownFamilies") ?? dataHandler.families;
+    setSteps(shownFamilies.map((family) => ({ ...step, settings: { ...step.settings, shownFamilies: [family] } })));
+  });
+  clearButton.addEventListener("click", () => {
+    stopPlaying();
+    run++;
+    current = -1;
+    setSteps([]);
+  });
+  previousButton.addEventListener("click", () => goTo(Math.max(0, current - 1)));
+  nextButton.addEventListener("click", () => goTo(current + 1));
+  playButton.addEventListener("click", togglePlaying);
+
+  toggleButton.addEventListener("click", () => {
+    body.style.display = body.style.display === "block" ? "none" : "block";
+    render();
+  });
+
+  scene.getEngine().getRenderingCanvas().addEventListener("keydown", (evt) => {
+    if (evt.key.toLowerCase() === "p") {
+      togglePlaying();
+    }
+  });
+
+  render();
+
+  return {
+    /**
+     * Plays the tour from its first step.
+     * @returns {Promise<void>} Resolves when the playback ends or is paused.
+     */
+    playFromStart: () => {
+      stopPlaying();
+      return play(0);
+    }
+  };
+}
+
+// Captures the current view as a step.
+function captureStep() {
+  return {
+    settings: structuredClone(Object.fromEntries(stepSettings.map((key) => [key, config.get(key)]))),
+    pose: getCameraPose(),
+    flight: defaultFlight,
+    hold: defaultHold
+  };
+}
+
+/**
+ * Applies the settings of a step and moves the camera to its pose.
+ * Settings that are already in place are not set again, to avoid needless chunk reloads.
+ * @returns {Promise<void>} Resolves once the camera has arrived and the chunks have been reloaded.
+ */
+function showStep(scene, step) {
+  let reloading = false;
+  const onReload = () => { reloading = true; };
+  document.addEventListener("chunkReload", onReload);
+  for (const [key, value] of Object.entries(step.settings)) {
+    if (JSON.stringify(config.get(key)) !== JSON.stringify(value)) {
+      config.set(key, value);
+    }
+  }
+  document.removeEventListener("chunkReload", onReload);
+
+  const loaded = reloading
+    ? new Promise((resolve) => document.addEventListener("chunksLoaded", () => resolve(), { once: true }))
+    : Promise.resolve();
+  return Promise.all([loaded, moveToPose(scene, step.pose, step.flight)]).then(() => {});
+}